@@ -93,12 +93,22 @@ class Database {
         return new QueryBuilder(this.connection, this.config.driver, this.config);
     }
 
+    // Expressão SQL raw com bindings, aceita nos métodos do builder e nos dados de insert/update
+    raw(sql, bindings = []) {
+        return QueryBuilder.raw(sql, bindings);
+    }
+
+    // Builder sem conexão para compilar SQL de um dialeto ('mysql', 'mariadb', 'postgres', 'sqlite')
+    static compiler(dialect, config = {}) {
+        return QueryBuilder.forDialect(dialect, config);
+    }
+
     // Verificar se uma tabela existe
     async tableExists(tableName) {
         this.ensureConnected();
         const builder = new QueryBuilder(this.connection, this.config.driver, this.config);
 
-        if (this.config.driver === 'postgres') {
+        if (['postgres', 'sqlite', 'mock'].includes(this.config.driver)) {
             return await builder.driver.tableExists(tableName);
         } else if (this.config.driver === 'mysql') {
             try {
@@ -121,7 +131,7 @@ class Database {
         this.ensureConnected();
         const builder = new QueryBuilder(this.connection, this.config.driver, this.config);
 
-        if (this.config.driver === 'postgres') {
+        if (['postgres', 'sqlite', 'mock'].includes(this.config.driver)) {
             return await builder.driver.listTables();
         } else if (this.config.driver === 'mysql') {
             const result = await this.query(`
@@ -140,7 +150,7 @@ class Database {
         this.ensureConnected();
         const builder = new QueryBuilder(this.connection, this.config.driver, this.config);
 
-        if (this.config.driver === 'postgres') {
+        if (['postgres', 'sqlite', 'mock'].includes(this.config.driver)) {
             return await builder.driver.describeTable(tableName);
         } else if (this.config.driver === 'mysql') {
             return await this.query(`DESCRIBE ${tableName}`);
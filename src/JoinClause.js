@@ -0,0 +1,102 @@
+// JoinClause.js
+// Condições de JOIN montadas por closure:
+//   join('pedidos p', j => j.on('p.usuario_id', '=', 'u.id').where('p.status', 'pago'))
+// Colunas comparadas com on() são escapadas pelo compilador; valores de where() viram parâmetros.
+// Expressões db.raw() valem no lugar de colunas e valores: on('p.criado_em', '>', db.raw('NOW() - INTERVAL 1 DAY'))
+import Raw from './Raw.js';
+
+class JoinClause {
+    constructor() {
+        this.conditions = [];
+    }
+
+    // on('a.id', 'b.a_id') equivale a on('a.id', '=', 'b.a_id'); on(j => ...) agrupa entre parênteses
+    on(first, operator = null, second = null, boolean = 'AND') {
+        if (typeof first === 'function') {
+            const nested = new JoinClause();
+            first(nested);
+            if (nested.conditions.length > 0) {
+                this.conditions.push({type: 'nested', conditions: nested.conditions, boolean});
+            }
+            return this;
+        }
+
+        if (second === null) {
+            second = operator;
+            operator = '=';
+        }
+
+        this._validateColumn(first);
+        this._validateColumn(second);
+        this._validateOperator(operator);
+
+        this.conditions.push({type: 'column', first, operator, second, boolean});
+        return this;
+    }
+
+    andOn(first, operator = null, second = null) {
+        return this.on(first, operator, second, 'AND');
+    }
+
+    orOn(first, operator = null, second = null) {
+        return this.on(first, operator, second, 'OR');
+    }
+
+    // Mesma ordem de argumentos do QueryBuilder.where(): (campo, valor, operador).
+    // Diferente dele, where('campo', null) gera "campo" IS NULL em vez de usar o campo como SQL raw
+    where(field, value = null, operator = '=', boolean = 'AND') {
+        this._validateColumn(field);
+
+        if (field instanceof Raw && (value === null || value === undefined)) {
+            this.conditions.push({type: 'raw', sql: field.sql, bindings: [...field.bindings], boolean});
+        } else if (value === null || value === undefined) {
+            this.conditions.push({type: 'null', column: field, not: false, boolean});
+        } else {
+            this._validateOperator(operator);
+            this.conditions.push({type: 'basic', column: field, operator, value, boolean});
+        }
+        return this;
+    }
+
+    orWhere(field, value = null, operator = '=') {
+        return this.where(field, value, operator, 'OR');
+    }
+
+    whereIn(field, values) {
+        this._validateColumn(field);
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new Error('whereIn requer um array não vazio');
+        }
+
+        this.conditions.push({type: 'in', column: field, values: [...values], not: false, boolean: 'AND'});
+        return this;
+    }
+
+    whereNull(field) {
+        this._validateColumn(field);
+        this.conditions.push({type: 'null', column: field, not: false, boolean: 'AND'});
+        return this;
+    }
+
+    whereNotNull(field) {
+        this._validateColumn(field);
+        this.conditions.push({type: 'null', column: field, not: true, boolean: 'AND'});
+        return this;
+    }
+
+    _validateColumn(column) {
+        if (column instanceof Raw) return;
+        if (!column || typeof column !== 'string' || column.trim().length === 0) {
+            throw new Error('Nome da coluna do JOIN é obrigatório e deve ser uma string não vazia');
+        }
+    }
+
+    _validateOperator(operator) {
+        const validOperators = ['=', '!=', '<>', '<', '>', '<=', '>=', 'LIKE', 'NOT LIKE'];
+        if (typeof operator !== 'string' || !validOperators.includes(operator.toUpperCase())) {
+            throw new Error(`Operador inválido no JOIN: ${operator}. Operadores válidos: ${validOperators.join(', ')}`);
+        }
+    }
+}
+
+export default JoinClause;
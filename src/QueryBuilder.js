@@ -2,14 +2,30 @@
 import MySQLDriver from './drivers/MySQLDriver.js';
 import PostgreSQLDriver from './drivers/PostgreSQLDriver.js';
 import MariadbDriver from "./drivers/MariadbDriver.js";
+import SQLiteDriver from './drivers/SQLiteDriver.js';
+import MockDriver from './drivers/MockDriver.js';
+import MySQLCompiler from './compilers/MySQLCompiler.js';
+import MariadbCompiler from './compilers/MariadbCompiler.js';
+import PostgreSQLCompiler from './compilers/PostgreSQLCompiler.js';
+import SQLiteCompiler from './compilers/SQLiteCompiler.js';
+import JoinClause from './JoinClause.js';
+import Raw from './Raw.js';
+import SqlParameters from './SqlParameters.js';
 
 class QueryBuilder {
+    // ✅ Macros/scopes registrados com QueryBuilder.macro() / QueryBuilder.scope()
+    static macros = new Map();
+
     constructor(connection, driverType, config = {}) {
         this.connection = connection;
         this.driverType = driverType;
         this.config = config;
         this.driver = this.createDriver(driverType, config);
 
+        // ✅ Dialeto SQL gerado (o MockDriver, por exemplo, emite SQL de outro driver)
+        this.dialect = this.driver.dialect;
+        this.compiler = this.createCompiler(this.dialect);
+
         // ✅ Sistema de ID único para rastreamento
         this.queryBuilderId = this.generateBuilderId();
 
@@ -44,6 +60,8 @@ class QueryBuilder {
         // ✅ Estado de transação
         this.inTransaction = false;
         this.transactionDepth = 0;
+        // Driver da sessão aberta por transaction(): no pool, todos os comandos vão para a mesma conexão
+        this.transactionDriver = null;
 
         this.reset();
 
@@ -59,37 +77,61 @@ class QueryBuilder {
             'mysql': MySQLDriver,
             'mariadb': MariadbDriver,
             'postgres': PostgreSQLDriver,
-            'postgresql': PostgreSQLDriver
+            'postgresql': PostgreSQLDriver,
+            'sqlite': SQLiteDriver,
+            'mock': MockDriver
         };
         const DriverClass = drivers[driverType.toLowerCase()];
         if (!DriverClass) throw new Error(`Driver não suportado: ${driverType}. Drivers disponíveis: ${Object.keys(drivers).join(', ')}`);
         return new DriverClass(this.connection, config);
     }
 
+    createCompiler(dialect) {
+        const compilers = {
+            'mysql': MySQLCompiler,
+            'mariadb': MariadbCompiler,
+            'postgres': PostgreSQLCompiler,
+            'sqlite': SQLiteCompiler
+        };
+        const CompilerClass = compilers[dialect];
+        if (!CompilerClass) throw new Error(`Dialeto sem compilador: ${dialect}`);
+        return new CompilerClass(this.driver, this.config);
+    }
+
     // ✅ Reset melhorado com validação de estado
+    // Cada cláusula guarda nós (objetos com "type"), compilados depois pelo compilador do dialeto
     reset() {
-        this.selectFields = ['*'];
-        this.fromTable = '';
-        this.joinClauses = [];
-        this.whereClauses = [];
-        this.groupByFields = [];
-        this.havingClauses = [];
-        this.orderByFields = [];
+        this.columns = []; // vazio = SELECT *
+        this.table = null;
+        this.joins = [];
+        this.wheres = [];
+        this.groups = [];
+        this.havings = [];
+        this.orders = [];
         this.limitValue = null;
         this.offsetValue = null;
         this.distinctFlag = false;
-        this.params = [];
         this.updateData = null;
         this.lastQuery = null;
         this.lastExecutionTime = null;
         this.currentOperation = null;
 
         // ✅ Estado de subconsultas
-        this.subqueries = [];
+        this.unions = []; // UNION / INTERSECT / EXCEPT
+        this.outerOrders = [];
+        this.outerLimitValue = null;
+        this.outerOffsetValue = null;
         this.isSubquery = false;
 
         // ✅ Estado de CTE (Common Table Expressions)
-        this.cteQueries = [];
+        this.ctes = [];
+
+        // ✅ Lock pessimista: {mode: 'update' | 'share', of: [...], wait: null | 'skipLocked' | 'noWait'}
+        this.lock = null;
+
+        // ✅ RETURNING: null = padrão do dialeto, false = desativado, array = colunas
+        this.returningColumns = null;
+        this.returningKey = 'id';
 
         return this;
     }
@@ -101,15 +143,15 @@ class QueryBuilder {
     select(fields = '*') {
         this._validateSelectFields(fields);
 
-        if (typeof fields === 'string') {
-            this.selectFields = fields === '*' ? ['*'] : [fields];
+        if (fields instanceof Raw) {
+            this.columns = [this._rawNode(fields)];
+        } else if (typeof fields === 'string') {
+            this.columns = fields === '*' ? [] : [{type: 'raw', sql: fields}];
         } else if (Array.isArray(fields)) {
-            this.selectFields = fields;
+            this.columns = fields.map(field => field instanceof Raw ? this._rawNode(field) : {type: 'raw', sql: field});
         } else if (typeof fields === 'object' && fields !== null) {
             // ✅ Suporte a objeto para alias: { nome: 'name', idade: 'age' }
-            this.selectFields = Object.entries(fields).map(([field, alias]) =>
-                `${this.driver.escapeIdentifier(field)} AS ${this.driver.escapeIdentifier(alias)}`
-            );
+            this.columns = Object.entries(fields).map(([field, alias]) => ({type: 'column', column: field, alias}));
         }
 
         this.currentOperation = 'SELECT';
@@ -120,48 +162,37 @@ class QueryBuilder {
     selectRaw(expression, alias = null) {
         this._validateNotEmpty(expression, 'Expressão SQL');
 
-        if (alias) {
-            this.selectFields = [`${expression} AS ${this.driver.escapeIdentifier(alias)}`];
-        } else {
-            this.selectFields = [expression];
-        }
-
+        this.columns = [{type: 'raw', sql: expression, alias}];
         return this;
     }
 
     // ✅ Funções de agregação melhoradas
     selectMax(field, alias = null) {
         this._validateFieldName(field);
-        const maxField = `MAX(${this.driver.escapeIdentifier(field)})`;
-        this.selectFields = [alias ? `${maxField} AS ${this.driver.escapeIdentifier(alias)}` : maxField];
+        this.columns = [{type: 'aggregate', fn: 'MAX', column: field, alias}];
         return this;
     }
 
     selectMin(field, alias = null) {
         this._validateFieldName(field);
-        const minField = `MIN(${this.driver.escapeIdentifier(field)})`;
-        this.selectFields = [alias ? `${minField} AS ${this.driver.escapeIdentifier(alias)}` : minField];
+        this.columns = [{type: 'aggregate', fn: 'MIN', column: field, alias}];
         return this;
     }
 
     selectAvg(field, alias = null) {
         this._validateFieldName(field);
-        const avgField = `AVG(${this.driver.escapeIdentifier(field)})`;
-        this.selectFields = [alias ? `${avgField} AS ${this.driver.escapeIdentifier(alias)}` : avgField];
+        this.columns = [{type: 'aggregate', fn: 'AVG', column: field, alias}];
         return this;
     }
 
     selectSum(field, alias = null) {
         this._validateFieldName(field);
-        const sumField = `SUM(${this.driver.escapeIdentifier(field)})`;
-        this.selectFields = [alias ? `${sumField} AS ${this.driver.escapeIdentifier(alias)}` : sumField];
+        this.columns = [{type: 'aggregate', fn: 'SUM', column: field, alias}];
         return this;
     }
 
     selectCount(field = '*', alias = 'count') {
-        const fieldToCount = field === '*' ? '*' : this.driver.escapeIdentifier(field);
-        const countField = `COUNT(${fieldToCount})`;
-        this.selectFields = [alias ? `${countField} AS ${this.driver.escapeIdentifier(alias)}` : countField];
+        this.columns = [{type: 'aggregate', fn: 'COUNT', column: field, alias}];
         return this;
     }
 
@@ -170,8 +201,17 @@ class QueryBuilder {
         this._validateNotEmpty(expression, 'Expressão window');
         this._validateNotEmpty(windowSpec, 'Especificação window');
 
-        const windowField = `${expression} OVER (${windowSpec})`;
-        this.selectFields = [alias ? `${windowField} AS ${this.driver.escapeIdentifier(alias)}` : windowField];
+        this.columns = [{type: 'window', expression, spec: windowSpec, alias}];
+        return this;
+    }
+
+    // ✅ Valor de uma coluna JSON: selectJson('meta->tags', 'tags')
+    // Adiciona à lista de colunas (não substitui o select atual)
+    selectJson(path, alias = null) {
+        this._validateFieldName(path);
+
+        const {column, segments} = this._parseJsonPath(path);
+        this.columns.push({type: 'json', column, path: segments, alias: alias || segments[segments.length - 1] || column});
         return this;
     }
 
@@ -188,18 +228,16 @@ class QueryBuilder {
     from(table, alias = null) {
         this._validateTableName(table);
 
-        let tableName = table;
-
-        // ✅ CORREÇÃO: Auto-schema para PostgreSQL
-        if (this.driverType === 'postgres' && !table.includes('.') && !table.includes(' ') && !table.includes('(')) {
-            const schema = this.config.schema || this.driver.schema || 'public';
-            tableName = `${schema}.${table}`;
+        // Expressões como "(SELECT ...) t" são usadas sem escape
+        if (table.includes('(')) {
+            this.table = {type: 'raw', sql: table, alias};
+            return this;
         }
 
-        this.fromTable = alias
-            ? `${this.driver.escapeIdentifier(tableName)} AS ${this.driver.escapeIdentifier(alias)}`
-            : this.driver.escapeIdentifier(tableName);
+        // O schema padrão do PostgreSQL é aplicado pelo compilador
+        const [tableName, tableAlias] = this._parseTableAlias(table);
 
+        this.table = {type: 'table', name: tableName, alias: alias || tableAlias};
         return this;
     }
 
@@ -208,14 +246,9 @@ class QueryBuilder {
         this._validateNotEmpty(alias, 'Alias da subconsulta');
 
         if (typeof subquery === 'function') {
-            const subBuilder = new QueryBuilder(this.connection, this.driverType, this.config);
-            subBuilder.isSubquery = true;
-            subquery(subBuilder);
-            const subSql = subBuilder.buildSelectQuery();
-            this.fromTable = `(${subSql}) AS ${this.driver.escapeIdentifier(alias)}`;
-            this.params = [...this.params, ...subBuilder.params];
+            this.table = {type: 'sub', query: this._createSubquery(subquery), alias};
         } else if (typeof subquery === 'string') {
-            this.fromTable = `(${subquery}) AS ${this.driver.escapeIdentifier(alias)}`;
+            this.table = {type: 'raw', sql: `(${subquery})`, alias};
         }
 
         return this;
@@ -229,18 +262,16 @@ class QueryBuilder {
         this._validateJoinCount();
         this._validateTableName(table);
         this._validateNotEmpty(condition, 'Condição do JOIN');
+        this._validateJoinType(type);
 
-        const validJoinTypes = ['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'];
-        if (!validJoinTypes.includes(type.toUpperCase())) {
-            throw new Error(`Tipo de JOIN inválido: ${type}. Tipos válidos: ${validJoinTypes.join(', ')}`);
-        }
+        const [tableName, tableAlias] = this._parseTableAlias(table);
 
-        let escapedTable = this.driver.escapeIdentifier(table);
-        if (alias) {
-            escapedTable += ` AS ${this.driver.escapeIdentifier(alias)}`;
-        }
-
-        this.joinClauses.push(`${type.toUpperCase()} JOIN ${escapedTable} ON ${condition}`);
+        this.joins.push({
+            type: 'join',
+            joinType: type.toUpperCase(),
+            table: {type: 'table', name: tableName, alias: alias || tableAlias},
+            ...this._joinConditions(condition)
+        });
         return this;
     }
 
@@ -260,12 +291,13 @@ class QueryBuilder {
         this._validateJoinCount();
         this._validateTableName(table);
 
-        let escapedTable = this.driver.escapeIdentifier(table);
-        if (alias) {
-            escapedTable += ` AS ${this.driver.escapeIdentifier(alias)}`;
-        }
+        const [tableName, tableAlias] = this._parseTableAlias(table);
 
-        this.joinClauses.push(`CROSS JOIN ${escapedTable}`);
+        this.joins.push({
+            type: 'join',
+            joinType: 'CROSS',
+            table: {type: 'table', name: tableName, alias: alias || tableAlias}
+        });
         return this;
     }
 
@@ -274,19 +306,51 @@ class QueryBuilder {
         this._validateJoinCount();
         this._validateNotEmpty(alias, 'Alias do JOIN');
         this._validateNotEmpty(condition, 'Condição do JOIN');
+        this._validateJoinType(type);
 
-        if (typeof subquery === 'function') {
-            const subBuilder = new QueryBuilder(this.connection, this.driverType, this.config);
-            subBuilder.isSubquery = true;
-            subquery(subBuilder);
-            const subSql = subBuilder.buildSelectQuery();
-            this.joinClauses.push(`${type.toUpperCase()} JOIN (${subSql}) AS ${this.driver.escapeIdentifier(alias)} ON ${condition}`);
-            this.params = [...this.params, ...subBuilder.params];
+        if (typeof subquery !== 'function') {
+            throw new Error('joinSubquery requer uma função que monte a subconsulta');
+        }
+
+        this.joins.push({
+            type: 'join',
+            joinType: type.toUpperCase(),
+            table: {type: 'sub', query: this._createSubquery(subquery), alias},
+            ...this._joinConditions(condition)
+        });
+
+        return this;
+    }
+
+
+    // ✅ JOIN LATERAL: a subconsulta enxerga as tabelas anteriores (PostgreSQL, MySQL 8.0.14+)
+    // type: 'INNER', 'LEFT' ou 'CROSS' (CROSS JOIN LATERAL / LEFT ... ON TRUE equivalem a CROSS/OUTER APPLY)
+    joinLateral(subquery, alias, type = 'INNER') {
+        this._validateJoinCount();
+        this._validateNotEmpty(alias, 'Alias do JOIN LATERAL');
+
+        if (typeof subquery !== 'function') {
+            throw new Error('joinLateral requer uma função que monte a subconsulta');
         }
 
+        const joinType = type.toUpperCase();
+        if (!['INNER', 'LEFT', 'CROSS'].includes(joinType)) {
+            throw new Error(`Tipo de JOIN LATERAL inválido: ${type}. Tipos válidos: INNER, LEFT, CROSS`);
+        }
+
+        this.joins.push({
+            type: 'join',
+            joinType,
+            lateral: true,
+            table: {type: 'sub', query: this._createSubquery(subquery), alias}
+        });
         return this;
     }
 
+    leftJoinLateral(subquery, alias) {
+        return this.joinLateral(subquery, alias, 'LEFT');
+    }
+
 
     // ===============================
     // ✅ WHERE METHODS MELHORADOS
@@ -295,46 +359,45 @@ class QueryBuilder {
     where(field, value = null, operator = '=') {
         this._validateWhereCount();
 
-        if (typeof field === 'object' && field !== null) {
+        if (field instanceof Raw && (value === null || value === undefined)) {
+            this._addWhere(this._rawNode(field));
+        } else if (typeof field === 'object' && field !== null && !(field instanceof Raw)) {
             Object.entries(field).forEach(([key, val]) => {
-                this._addWhereClause(`${this.driver.escapeIdentifier(key)} = ?`, val);
+                this._addWhere({type: 'basic', column: key, operator: '=', value: val});
             });
         } else if (typeof field === 'function') {
             // ✅ Suporte a closures para agrupamento
             this._addWhereGroup(field);
         } else if (value !== null && value !== undefined) {
             this._validateOperator(operator);
-            this._addWhereClause(`${this.driver.escapeIdentifier(field)} ${operator} ?`, value);
+            this._addWhere({type: 'basic', column: field, operator, value});
         } else {
             // Raw condition
-            this._addWhereClause(field);
+            this._addWhere({type: 'raw', sql: field});
         }
 
         return this;
     }
 
     orWhere(field, value = null, operator = '=') {
-        if (this.whereClauses.length === 0) {
+        if (this.wheres.length === 0) {
             return this.where(field, value, operator);
         }
 
-        if (typeof field === 'object' && field !== null) {
-            const conditions = [];
-            const values = [];
-            Object.entries(field).forEach(([key, val]) => {
-                conditions.push(`${this.driver.escapeIdentifier(key)} = ?`);
-                values.push(val);
-            });
-            this.whereClauses.push(`OR (${conditions.join(' AND ')})`);
-            this.params.push(...values);
+        if (field instanceof Raw && (value === null || value === undefined)) {
+            this._addWhere(this._rawNode(field), 'OR');
+        } else if (typeof field === 'object' && field !== null && !(field instanceof Raw)) {
+            const conditions = Object.entries(field).map(([key, val]) =>
+                ({type: 'basic', boolean: 'AND', column: key, operator: '=', value: val})
+            );
+            this._addWhere({type: 'nested', conditions}, 'OR');
         } else if (typeof field === 'function') {
-            this._addOrWhereGroup(field);
+            this._addWhereGroup(field, 'OR');
         } else if (value !== null && value !== undefined) {
             this._validateOperator(operator);
-            this.whereClauses.push(`OR ${this.driver.escapeIdentifier(field)} ${operator} ?`);
-            this.params.push(value);
+            this._addWhere({type: 'basic', column: field, operator, value}, 'OR');
         } else {
-            this.whereClauses.push(`OR ${field}`);
+            this._addWhere({type: 'raw', sql: field}, 'OR');
         }
 
         return this;
@@ -347,12 +410,7 @@ class QueryBuilder {
         this._validateOperator(operator);
 
         if (typeof subquery === 'function') {
-            const subBuilder = new QueryBuilder(this.connection, this.driverType, this.config);
-            subBuilder.isSubquery = true;
-            subquery(subBuilder);
-            const subSql = subBuilder.buildSelectQuery();
-            this._addWhereClause(`${this.driver.escapeIdentifier(field)} ${operator} (${subSql})`);
-            this.params = [...this.params, ...subBuilder.params];
+            this._addWhere({type: 'sub', column: field, operator, query: this._createSubquery(subquery)});
         }
 
         return this;
@@ -362,12 +420,7 @@ class QueryBuilder {
         this._validateWhereCount();
 
         if (typeof subquery === 'function') {
-            const subBuilder = new QueryBuilder(this.connection, this.driverType, this.config);
-            subBuilder.isSubquery = true;
-            subquery(subBuilder);
-            const subSql = subBuilder.buildSelectQuery();
-            this._addWhereClause(`EXISTS (${subSql})`);
-            this.params = [...this.params, ...subBuilder.params];
+            this._addWhere({type: 'exists', query: this._createSubquery(subquery), not: false});
         }
 
         return this;
@@ -377,12 +430,7 @@ class QueryBuilder {
         this._validateWhereCount();
 
         if (typeof subquery === 'function') {
-            const subBuilder = new QueryBuilder(this.connection, this.driverType, this.config);
-            subBuilder.isSubquery = true;
-            subquery(subBuilder);
-            const subSql = subBuilder.buildSelectQuery();
-            this._addWhereClause(`NOT EXISTS (${subSql})`);
-            this.params = [...this.params, ...subBuilder.params];
+            this._addWhere({type: 'exists', query: this._createSubquery(subquery), not: true});
         }
 
         return this;
@@ -393,9 +441,7 @@ class QueryBuilder {
         this._validateFieldName(field);
         this._validateArrayValues(values, 'whereIn');
 
-        const placeholders = values.map(() => '?').join(', ');
-        this._addWhereClause(`${this.driver.escapeIdentifier(field)} IN (${placeholders})`);
-        this.params.push(...values);
+        this._addWhere({type: 'in', column: field, values: [...values], not: false});
         return this;
     }
 
@@ -404,9 +450,7 @@ class QueryBuilder {
         this._validateFieldName(field);
         this._validateArrayValues(values, 'whereNotIn');
 
-        const placeholders = values.map(() => '?').join(', ');
-        this._addWhereClause(`${this.driver.escapeIdentifier(field)} NOT IN (${placeholders})`);
-        this.params.push(...values);
+        this._addWhere({type: 'in', column: field, values: [...values], not: true});
         return this;
     }
 
@@ -414,7 +458,7 @@ class QueryBuilder {
         this._validateWhereCount();
         this._validateFieldName(field);
 
-        this._addWhereClause(`${this.driver.escapeIdentifier(field)} BETWEEN ? AND ?`, [min, max]);
+        this._addWhere({type: 'between', column: field, values: [min, max], not: false});
         return this;
     }
 
@@ -422,7 +466,7 @@ class QueryBuilder {
         this._validateWhereCount();
         this._validateFieldName(field);
 
-        this._addWhereClause(`${this.driver.escapeIdentifier(field)} NOT BETWEEN ? AND ?`, [min, max]);
+        this._addWhere({type: 'between', column: field, values: [min, max], not: true});
         return this;
     }
 
@@ -430,7 +474,7 @@ class QueryBuilder {
         this._validateWhereCount();
         this._validateFieldName(field);
 
-        this._addWhereClause(`${this.driver.escapeIdentifier(field)} IS NULL`);
+        this._addWhere({type: 'null', column: field, not: false});
         return this;
     }
 
@@ -438,7 +482,7 @@ class QueryBuilder {
         this._validateWhereCount();
         this._validateFieldName(field);
 
-        this._addWhereClause(`${this.driver.escapeIdentifier(field)} IS NOT NULL`);
+        this._addWhere({type: 'null', column: field, not: true});
         return this;
     }
 
@@ -446,16 +490,15 @@ class QueryBuilder {
         this._validateWhereCount();
         this._validateFieldName(field);
 
-        this._addWhereClause(`${this.driver.escapeIdentifier(field)} LIKE ?`, value);
+        this._addWhere({type: 'basic', column: field, operator: 'LIKE', value});
         return this;
     }
 
     orWhereLike(field, value) {
-        if (this.whereClauses.length === 0) {
+        if (this.wheres.length === 0) {
             return this.whereLike(field, value);
         }
-        this.whereClauses.push(`OR ${this.driver.escapeIdentifier(field)} LIKE ?`);
-        this.params.push(value);
+        this._addWhere({type: 'basic', column: field, operator: 'LIKE', value}, 'OR');
         return this;
     }
 
@@ -463,22 +506,146 @@ class QueryBuilder {
         this._validateWhereCount();
         this._validateFieldName(field);
 
-        this._addWhereClause(`${this.driver.escapeIdentifier(field)} NOT LIKE ?`, value);
+        this._addWhere({type: 'basic', column: field, operator: 'NOT LIKE', value});
+        return this;
+    }
+
+    // ✅ Compara duas colunas: whereColumn('atualizado_em', '>', 'criado_em')
+    // Com dois argumentos o operador é '=': whereColumn('a.id', 'b.a_id')
+    whereColumn(first, operator, second = null) {
+        this._validateWhereCount();
+        this._addWhere(this._columnCondition(first, operator, second));
+        return this;
+    }
+
+    orWhereColumn(first, operator, second = null) {
+        if (this.wheres.length === 0) {
+            return this.whereColumn(first, operator, second);
+        }
+        this._addWhere(this._columnCondition(first, operator, second), 'OR');
         return this;
     }
 
-    // ✅ WHERE com expressão raw
+    // ✅ Filtros por parte da data, com a mesma assinatura de where(): (campo, valor, operador)
+    whereDate(field, value, operator = '=') {
+        return this._whereDatePart('date', field, value, operator);
+    }
+
+    whereYear(field, value, operator = '=') {
+        return this._whereDatePart('year', field, value, operator);
+    }
+
+    whereMonth(field, value, operator = '=') {
+        return this._whereDatePart('month', field, value, operator);
+    }
+
+    whereDay(field, value, operator = '=') {
+        return this._whereDatePart('day', field, value, operator);
+    }
+
+    whereTime(field, value, operator = '=') {
+        return this._whereDatePart('time', field, value, operator);
+    }
+
+    // ✅ WHERE com expressão raw: bindings posicionais (?) ou objeto com :nome / $nome
     whereRaw(expression, bindings = []) {
         this._validateWhereCount();
         this._validateNotEmpty(expression, 'Expressão WHERE');
 
-        this._addWhereClause(expression);
-        if (Array.isArray(bindings)) {
-            this.params.push(...bindings);
-        } else if (bindings !== null && bindings !== undefined) {
-            this.params.push(bindings);
+        this._addWhere({type: 'raw', ...this._rawExpression(expression, bindings)});
+        return this;
+    }
+
+
+    // ===============================
+    // ✅ ENCADEAMENTO CONDICIONAL
+    // ===============================
+
+    // ✅ Aplica o callback apenas se a condição for verdadeira, sem quebrar a cadeia:
+    // .when(filtros.cidade, (q, cidade) => q.where('cidade', cidade))
+    when(condition, callback, otherwise = null) {
+        const value = typeof condition === 'function' ? condition(this) : condition;
+        return this._applyConditional(value ? callback : otherwise, value);
+    }
+
+    unless(condition, callback, otherwise = null) {
+        const value = typeof condition === 'function' ? condition(this) : condition;
+        return this._applyConditional(value ? otherwise : callback, value);
+    }
+
+
+    // ===============================
+    // ✅ CONSULTAS EM COLUNAS JSON
+    // ===============================
+    // Caminhos usam "->": 'meta->address->city', 'meta->tags->0'
+
+    whereJson(path, value, operator = '=') {
+        this._validateWhereCount();
+        this._validateFieldName(path);
+        this._validateOperator(operator);
+
+        const {column, segments} = this._parseJsonPath(path);
+        this._addWhere({type: 'json', column, path: segments, operator, value});
+        return this;
+    }
+
+    // ✅ O documento JSON contém o valor (elemento de array ou sub-objeto)
+    whereJsonContains(path, value) {
+        this._validateWhereCount();
+        this._validateFieldName(path);
+
+        const {column, segments} = this._parseJsonPath(path);
+        this._addWhere({type: 'jsonContains', column, path: segments, value});
+        return this;
+    }
+
+    whereJsonLength(path, value, operator = '=') {
+        this._validateWhereCount();
+        this._validateFieldName(path);
+        this._validateOperator(operator);
+        if (!(value instanceof Raw)) this._validateNumber(value, 'Tamanho do JSON');
+
+        const {column, segments} = this._parseJsonPath(path);
+        this._addWhere({type: 'jsonLength', column, path: segments, operator, value});
+        return this;
+    }
+
+
+    // ===============================
+    // ✅ BUSCA FULL-TEXT
+    // ===============================
+    // options.mode: 'natural' (padrão) ou 'boolean'
+    // options.language: configuração de busca do PostgreSQL (padrão: 'simple')
+
+    whereFullText(columns, term, options = {}) {
+        this._validateWhereCount();
+        this._validateNotEmpty(term, 'Termo da busca');
+
+        this._addWhere({type: 'fullText', ...this._fullTextNode(columns, term, options)});
+        return this;
+    }
+
+    orWhereFullText(columns, term, options = {}) {
+        if (this.wheres.length === 0) {
+            return this.whereFullText(columns, term, options);
+        }
+        this._validateNotEmpty(term, 'Termo da busca');
+
+        this._addWhere({type: 'fullText', ...this._fullTextNode(columns, term, options)}, 'OR');
+        return this;
+    }
+
+    // ✅ Ordena pela relevância da busca (MATCH ... AGAINST / ts_rank)
+    orderByRelevance(columns, term, options = {}, direction = 'DESC') {
+        this._validateOrderByCount();
+        this._validateNotEmpty(term, 'Termo da busca');
+
+        const upperDirection = direction.toUpperCase();
+        if (!['ASC', 'DESC'].includes(upperDirection)) {
+            throw new Error(`Direção deve ser ASC ou DESC, recebido: ${direction}`);
         }
 
+        this.orders.push({type: 'fullText', ...this._fullTextNode(columns, term, options), direction: upperDirection});
         return this;
     }
 
@@ -490,12 +657,18 @@ class QueryBuilder {
     groupBy(fields) {
         this._validateGroupByCount();
 
-        if (typeof fields === 'string') {
-            this.groupByFields.push(this.driver.escapeIdentifier(fields));
+        if (fields instanceof Raw) {
+            this.groups.push(this._rawNode(fields));
+        } else if (typeof fields === 'string') {
+            this.groups.push({type: 'column', column: fields});
         } else if (Array.isArray(fields)) {
             fields.forEach(field => {
+                if (field instanceof Raw) {
+                    this.groups.push(this._rawNode(field));
+                    return;
+                }
                 this._validateFieldName(field);
-                this.groupByFields.push(this.driver.escapeIdentifier(field));
+                this.groups.push({type: 'column', column: field});
             });
         }
         return this;
@@ -503,59 +676,43 @@ class QueryBuilder {
 
     groupByRaw(expression) {
         this._validateNotEmpty(expression, 'Expressão GROUP BY');
-        this.groupByFields.push(expression);
+        this.groups.push({type: 'raw', sql: expression});
         return this;
     }
 
     having(field, value = null, operator = '=') {
-        if (typeof field === 'object' && field !== null) {
+        if (field instanceof Raw && (value === null || value === undefined)) {
+            this._addHaving(this._rawNode(field));
+        } else if (typeof field === 'object' && field !== null && !(field instanceof Raw)) {
             Object.entries(field).forEach(([key, val]) => {
-                // ✅ CORREÇÃO: Verificar se já existem cláusulas HAVING
-                if (this.havingClauses.length > 0) {
-                    this.havingClauses.push(`AND ${this.driver.escapeIdentifier(key)} = ?`);
-                } else {
-                    this.havingClauses.push(`${this.driver.escapeIdentifier(key)} = ?`);
-                }
-                this.params.push(val);
+                this._addHaving({type: 'basic', column: key, operator: '=', value: val});
             });
         } else if (value !== null && value !== undefined) {
             this._validateOperator(operator);
-            if (this.havingClauses.length > 0) {
-                this.havingClauses.push(`AND ${this.driver.escapeIdentifier(field)} ${operator} ?`);
-            } else {
-                this.havingClauses.push(`${this.driver.escapeIdentifier(field)} ${operator} ?`);
-            }
-            this.params.push(value);
+            this._addHaving({type: 'basic', column: field, operator, value});
         } else {
-            if (this.havingClauses.length > 0) {
-                this.havingClauses.push(`AND ${field}`);
-            } else {
-                this.havingClauses.push(field);
-            }
+            this._addHaving({type: 'raw', sql: field});
         }
         return this;
     }
 
     orHaving(field, value = null, operator = '=') {
-        if (this.havingClauses.length === 0) {
+        if (this.havings.length === 0) {
             return this.having(field, value, operator);
         }
 
-        if (typeof field === 'object' && field !== null) {
-            const conditions = [];
-            const values = [];
-            Object.entries(field).forEach(([key, val]) => {
-                conditions.push(`${this.driver.escapeIdentifier(key)} = ?`);
-                values.push(val);
-            });
-            this.havingClauses.push(`OR (${conditions.join(' AND ')})`);
-            this.params.push(...values);
+        if (field instanceof Raw && (value === null || value === undefined)) {
+            this._addHaving(this._rawNode(field), 'OR');
+        } else if (typeof field === 'object' && field !== null && !(field instanceof Raw)) {
+            const conditions = Object.entries(field).map(([key, val]) =>
+                ({type: 'basic', boolean: 'AND', column: key, operator: '=', value: val})
+            );
+            this._addHaving({type: 'nested', conditions}, 'OR');
         } else if (value !== null && value !== undefined) {
             this._validateOperator(operator);
-            this.havingClauses.push(`OR ${this.driver.escapeIdentifier(field)} ${operator} ?`);
-            this.params.push(value);
+            this._addHaving({type: 'basic', column: field, operator, value}, 'OR');
         } else {
-            this.havingClauses.push(`OR ${field}`);
+            this._addHaving({type: 'raw', sql: field}, 'OR');
         }
         return this;
     }
@@ -563,16 +720,7 @@ class QueryBuilder {
     havingRaw(expression, bindings = []) {
         this._validateNotEmpty(expression, 'Expressão HAVING');
 
-        if (this.havingClauses.length > 0) {
-            this.havingClauses.push(`AND ${expression}`);
-        } else {
-            this.havingClauses.push(expression);
-        }
-
-        if (Array.isArray(bindings)) {
-            this.params.push(...bindings);
-        }
-
+        this._addHaving({type: 'raw', ...this._rawExpression(expression, bindings)});
         return this;
     }
 
@@ -583,7 +731,7 @@ class QueryBuilder {
 
     orderBy(field, direction = 'ASC') {
         this._validateOrderByCount();
-        this._validateFieldName(field);
+        if (!(field instanceof Raw)) this._validateFieldName(field);
 
         const validDirections = ['ASC', 'DESC'];
         const upperDirection = direction.toUpperCase();
@@ -592,7 +740,12 @@ class QueryBuilder {
             throw new Error(`Direção deve ser ASC ou DESC, recebido: ${direction}`);
         }
 
-        this.orderByFields.push(`${this.driver.escapeIdentifier(field)} ${upperDirection}`);
+        if (field instanceof Raw) {
+            this.orders.push({...this._rawNode(field), sql: `${field.sql} ${upperDirection}`});
+            return this;
+        }
+
+        this.orders.push({type: 'column', column: field, direction: upperDirection});
         return this;
     }
 
@@ -600,17 +753,17 @@ class QueryBuilder {
         this._validateOrderByCount();
         this._validateNotEmpty(expression, 'Expressão ORDER BY');
 
-        this.orderByFields.push(expression);
+        this.orders.push({type: 'raw', sql: expression});
         return this;
     }
 
     orderByRandom() {
         this._validateOrderByCount();
-        this.orderByFields.push(this.driver.getRandomFunction());
+        this.orders.push({type: 'random'});
         return this;
     }
 
-    // ✅ ORDER BY com NULLS FIRST/LAST (PostgreSQL)
+    // ✅ ORDER BY com NULLS FIRST/LAST (PostgreSQL/SQLite; ignorado no MySQL/MariaDB)
     orderByNulls(field, direction = 'ASC', nullsPosition = 'LAST') {
         this._validateOrderByCount();
         this._validateFieldName(field);
@@ -626,12 +779,12 @@ class QueryBuilder {
             throw new Error(`Posição de NULLs deve ser FIRST ou LAST, recebido: ${nullsPosition}`);
         }
 
-        if (this.driverType === 'postgres') {
-            this.orderByFields.push(`${this.driver.escapeIdentifier(field)} ${direction.toUpperCase()} NULLS ${nullsPosition.toUpperCase()}`);
-        } else {
-            // Fallback para outros bancos
-            this.orderByFields.push(`${this.driver.escapeIdentifier(field)} ${direction.toUpperCase()}`);
-        }
+        this.orders.push({
+            type: 'column',
+            column: field,
+            direction: direction.toUpperCase(),
+            nulls: nullsPosition.toUpperCase()
+        });
 
         return this;
     }
@@ -671,66 +824,124 @@ class QueryBuilder {
     // ✅ COMMON TABLE EXPRESSIONS (CTE)
     // ===============================
 
-    with(name, query) {
+    // PostgreSQL, MySQL 8.0+, MariaDB 10.2.2+ e SQLite; também antes de INSERT/UPDATE/DELETE
+    // query: função que monta a subconsulta ou um QueryBuilder; columns: lista opcional de colunas
+    with(name, query, columns = null) {
         this._validateNotEmpty(name, 'Nome da CTE');
 
-        if (this.driverType !== 'postgres' && this.driverType !== 'postgresql') {
-            throw new Error('CTEs são suportadas apenas no PostgreSQL');
-        }
-
-        if (typeof query === 'function') {
-            const cteBuilder = new QueryBuilder(this.connection, this.driverType, this.config);
-            cteBuilder.isSubquery = true;
-            query(cteBuilder);
-            const cteSql = cteBuilder.buildSelectQuery();
-            this.cteQueries.push(`${this.driver.escapeIdentifier(name)} AS (${cteSql})`);
-            this.params = [...cteBuilder.params, ...this.params];
-        }
-
+        this.ctes.push({
+            name,
+            query: this._subquery(query, 'A CTE'),
+            recursive: false,
+            recursiveQuery: null,
+            columns: this._cteColumns(columns)
+        });
         return this;
     }
 
-    withRecursive(name, query) {
+    // ✅ WITH RECURSIVE nome (colunas) AS (âncora UNION ALL recursiva)
+    // withRecursive('arvore', q => q.from('categorias').whereNull('pai_id'),
+    //     q => q.from('categorias c').join('arvore a', 'c.pai_id = a.id'), ['id', 'pai_id'])
+    // Sem a parte recursiva, a subconsulta deve conter o UNION por conta própria.
+    withRecursive(name, anchor, recursive = null, columns = null) {
         this._validateNotEmpty(name, 'Nome da CTE recursiva');
 
-        if (this.driverType !== 'postgres' && this.driverType !== 'postgresql') {
-            throw new Error('CTEs recursivas são suportadas apenas no PostgreSQL');
-        }
-
-        if (typeof query === 'function') {
-            const cteBuilder = new QueryBuilder(this.connection, this.driverType, this.config);
-            cteBuilder.isSubquery = true;
-            query(cteBuilder);
-            const cteSql = cteBuilder.buildSelectQuery();
-            this.cteQueries.push(`${this.driver.escapeIdentifier(name)} AS (${cteSql})`);
-            this.params = [...cteBuilder.params, ...this.params];
+        if (Array.isArray(recursive)) {
+            columns = recursive;
+            recursive = null;
         }
 
+        this.ctes.push({
+            name,
+            query: this._subquery(anchor, 'A CTE'),
+            recursive: true,
+            recursiveQuery: recursive ? this._subquery(recursive, 'A CTE') : null,
+            columns: this._cteColumns(columns)
+        });
         return this;
     }
 
 
     // ===============================
-    // ✅ UNION OPERATIONS
+    // ✅ UNION / INTERSECT / EXCEPT
     // ===============================
 
+    // query: função que monta a subconsulta ou um QueryBuilder
     union(query, all = false) {
-        if (typeof query === 'function') {
-            const unionBuilder = new QueryBuilder(this.connection, this.driverType, this.config);
-            unionBuilder.isSubquery = true;
-            query(unionBuilder);
-            const unionSql = unionBuilder.buildSelectQuery();
+        return this._addSetOperation('UNION', query, all);
+    }
+
+    unionAll(query) {
+        return this.union(query, true);
+    }
+
+    // PostgreSQL, SQLite, MySQL 8.0.31+ e MariaDB 10.3+
+    intersect(query, all = false) {
+        return this._addSetOperation('INTERSECT', query, all);
+    }
+
+    // Sem suporte no SQLite; MariaDB 10.5+
+    intersectAll(query) {
+        return this.intersect(query, true);
+    }
+
+    except(query, all = false) {
+        return this._addSetOperation('EXCEPT', query, all);
+    }
+
+    exceptAll(query) {
+        return this.except(query, true);
+    }
+
+    // ✅ ORDER BY aplicado ao resultado combinado (orderBy() ordena apenas a primeira consulta)
+    outerOrderBy(field, direction = 'ASC') {
+        this._validateFieldName(field);
 
-            const unionType = all ? 'UNION ALL' : 'UNION';
-            this.subqueries.push(`${unionType} (${unionSql})`);
-            this.params = [...this.params, ...unionBuilder.params];
+        const upperDirection = direction.toUpperCase();
+        if (!['ASC', 'DESC'].includes(upperDirection)) {
+            throw new Error(`Direção deve ser ASC ou DESC, recebido: ${direction}`);
         }
 
+        this.outerOrders.push({type: 'column', column: field, direction: upperDirection});
         return this;
     }
 
-    unionAll(query) {
-        return this.union(query, true);
+    // ✅ LIMIT/OFFSET aplicados ao resultado combinado
+    outerLimit(count, offset = null) {
+        this._validateLimit(count);
+
+        this.outerLimitValue = count;
+        if (offset !== null) {
+            this._validateOffset(offset);
+            this.outerOffsetValue = offset;
+        }
+        return this;
+    }
+
+
+    // ===============================
+    // ✅ LOCKS PESSIMISTAS
+    // ===============================
+
+    // Só podem ser executados dentro de transaction(); of: tabelas ou aliases a bloquear
+    // (PostgreSQL e MySQL 8.0+). No SQLite o lock é omitido: a transação já bloqueia o banco.
+    lockForUpdate(of = null) {
+        return this._setLock('update', of);
+    }
+
+    // FOR SHARE (PostgreSQL/MySQL 8.0+) ou LOCK IN SHARE MODE (MySQL 5.7/MariaDB)
+    sharedLock(of = null) {
+        return this._setLock('share', of);
+    }
+
+    // Ignora as linhas já bloqueadas por outra transação
+    skipLocked() {
+        return this._setLockWait('skipLocked');
+    }
+
+    // Falha imediatamente se alguma linha já estiver bloqueada
+    noWait() {
+        return this._setLockWait('noWait');
     }
 
 
@@ -739,6 +950,11 @@ class QueryBuilder {
     // ===============================
 
     buildSelectQuery() {
+        return this._compileSelect().sql;
+    }
+
+    // ✅ Compila o SELECT com cache por estrutura da query
+    _compileSelect() {
         const startTime = Date.now();
 
         try {
@@ -751,63 +967,17 @@ class QueryBuilder {
                 this.metrics.cacheMisses++;
             }
 
-            let sql = '';
-
-            // ✅ CTEs (PostgreSQL)
-            if (this.cteQueries.length > 0) {
-                sql += `WITH ${this.cteQueries.join(', ')} `;
-            }
-
-            sql += 'SELECT ';
-
-            if (this.distinctFlag) {
-                sql += 'DISTINCT ';
-            }
-
-            sql += this.selectFields.join(', ');
-
-            if (this.fromTable) {
-                sql += ` FROM ${this.fromTable}`;
-            }
-
-            if (this.joinClauses.length > 0) {
-                sql += ` ${this.joinClauses.join(' ')}`;
-            }
-
-            if (this.whereClauses.length > 0) {
-                sql += ` WHERE ${this.whereClauses.join(' ')}`;
-            }
-
-            if (this.groupByFields.length > 0) {
-                sql += ` GROUP BY ${this.groupByFields.join(', ')}`;
-            }
-
-            if (this.havingClauses.length > 0) {
-                sql += ` HAVING ${this.havingClauses.join(' ')}`;
-            }
-
-            if (this.orderByFields.length > 0) {
-                sql += ` ORDER BY ${this.orderByFields.join(', ')}`;
-            }
-
-            if (this.limitValue !== null) {
-                sql += ` ${this.driver.getLimitSyntax(this.limitValue, this.offsetValue || 0)}`;
-            }
-
-            // ✅ UNIONs
-            if (this.subqueries.length > 0) {
-                sql += ` ${this.subqueries.join(' ')}`;
-            }
+            const compiled = this.compiler.compileSelect(this);
 
             // ✅ Adicionar ao cache
             if (this.queryCache.size < this.maxCacheSize) {
-                this.queryCache.set(cacheKey, sql);
+                this.queryCache.set(cacheKey, compiled);
             }
 
             const buildTime = Date.now() - startTime;
             this._updateBuildMetrics(buildTime);
 
-            return sql;
+            return compiled;
 
         } catch (error) {
             this.metrics.errors++;
@@ -815,12 +985,27 @@ class QueryBuilder {
         }
     }
 
+    // ✅ Resultado normalizado de qualquer driver: { affectedRows, insertId, rows, changedRows }
+    // driver: permite executar numa sessão presa a uma conexão (ver driver.session())
+    async executeQuery(sql, params, driver = this._currentDriver()) {
+        return this._timedExecution(sql, params, () => driver.run(sql, params));
+    }
+
+    // Dentro de transaction(), o driver preso à conexão da transação
+    _currentDriver() {
+        return this.transactionDriver || this.driver;
+    }
+
     // ✅ Salvar a última query executada com métricas
-    async executeQuery(sql, params) {
+    async _timedExecution(sql, params, execute) {
+        if (!this.connection) {
+            throw new Error('QueryBuilder sem conexão (criado com forDialect): use toSQL(), compileInsert(), compileUpdate() ou compileDelete()');
+        }
+
         const startTime = Date.now();
 
         try {
-            const result = await this.driver.execute(sql, params);
+            const result = await execute();
 
             const executionTime = Date.now() - startTime;
             this.lastQuery = {sql, params, executionTime, timestamp: Date.now()};
@@ -850,11 +1035,12 @@ class QueryBuilder {
 
     async get() {
         this._validateQueryState();
+        this._validateLock();
 
-        const sql = this.buildSelectQuery();
-        const results = await this.executeQuery(sql, this.params);
+        const {sql, bindings} = this._compileSelect();
+        const {rows} = await this.executeQuery(sql, bindings);
         this.reset();
-        return results;
+        return rows;
     }
 
     async getWhere(table, where) {
@@ -867,36 +1053,57 @@ class QueryBuilder {
         return results.length > 0 ? results[0] : null;
     }
 
+    // ✅ Conta a partir de um clone: o builder continua disponível para get()
     async count(field = '*') {
-        const originalSelect = [...this.selectFields];
-        const originalLimit = this.limitValue;
-        const originalOffset = this.offsetValue;
+        const result = await this._countQuery(field).get();
+        return parseInt(result[0].count) || 0;
+    }
 
-        const countField = field === '*' ? '*' : this.driver.escapeIdentifier(field);
-        this.selectFields = [`COUNT(${countField}) as count`];
-        this.limitValue = null;
-        this.offsetValue = null;
+    // ✅ Página com total e metadados: { data, total, perPage, currentPage, lastPage, from, to }
+    async getPaginated(page = 1, perPage = 15) {
+        this._validatePagination(page, perPage);
 
-        const result = await this.get();
+        const total = await this.count();
+        const offset = (page - 1) * perPage;
 
-        this.selectFields = originalSelect;
-        this.limitValue = originalLimit;
-        this.offsetValue = originalOffset;
+        let data = [];
+        if (offset < total) {
+            const pageQuery = this.clone();
+            // Em UNION/INTERSECT/EXCEPT a página vale para o resultado combinado
+            if (pageQuery.unions.length > 0) {
+                pageQuery.outerLimitValue = perPage;
+                pageQuery.outerOffsetValue = offset;
+            } else {
+                pageQuery.limitValue = perPage;
+                pageQuery.offsetValue = offset;
+            }
+            data = await pageQuery.get();
+        }
 
-        return parseInt(result[0].count) || 0;
+        this.reset();
+
+        return {
+            data,
+            total,
+            perPage,
+            currentPage: page,
+            lastPage: Math.max(1, Math.ceil(total / perPage)),
+            from: data.length > 0 ? offset + 1 : null,
+            to: data.length > 0 ? offset + data.length : null
+        };
     }
 
     // ✅ Exists check
     async exists() {
-        const originalSelect = [...this.selectFields];
+        const originalSelect = [...this.columns];
         const originalLimit = this.limitValue;
 
-        this.selectFields = ['1'];
+        this.columns = [{type: 'raw', sql: '1'}];
         this.limitValue = 1;
 
         const result = await this.get();
 
-        this.selectFields = originalSelect;
+        this.columns = originalSelect;
         this.limitValue = originalLimit;
 
         return result.length > 0;
@@ -938,149 +1145,392 @@ class QueryBuilder {
     }
 
 
-    // ===============================
-    // ✅ INSERT METHODS MELHORADOS
-    // ===============================
-
-    async insert(table, data) {
-        this._validateTableName(table);
-        this._validateInsertData(data);
+    // ✅ Chunks paginados pela chave (WHERE id > último ORDER BY id), sem OFFSET:
+    // seguro quando o callback altera ou remove as linhas que está processando.
+    // options.column: coluna usada na paginação (padrão: 'id')
+    // options.alias: nome da coluna no resultado, quando diferente (ex.: column 'u.id', alias 'user_id')
+    async chunkById(size, callback, options = {}) {
+        this._validateChunkSize(size);
+        this._validateCallback(callback);
 
-        if (Array.isArray(data)) {
-            return this.insertBatch(table, data);
-        }
+        const column = options.column || 'id';
+        const alias = options.alias || column.split('.').pop();
+        this._validateFieldName(column);
 
-        const fields = Object.keys(data);
-        const values = Object.values(data);
-        const escapedFields = fields.map(field => this.driver.escapeIdentifier(field));
-        const placeholders = fields.map(() => '?').join(', ');
+        let lastId = null;
+        let page = 1;
+        let processedRows = 0;
 
-        let sql = `INSERT INTO ${this.driver.escapeIdentifier(table)} (${escapedFields.join(', ')})
-                   VALUES (${placeholders})`;
+        while (true) {
+            const builderClone = this.clone();
+            builderClone.orders = [{type: 'column', column, direction: 'ASC'}];
+            builderClone.limitValue = size;
+            builderClone.offsetValue = null;
 
-        // ✅ RETURNING para PostgreSQL
-        if (this.driverType === 'postgres' || this.driverType === 'postgresql') {
-            sql += ' RETURNING *';
-        }
+            if (lastId !== null) {
+                builderClone._addWhereIsolated({type: 'basic', column, operator: '>', value: lastId});
+            }
 
-        const result = await this.executeQuery(sql, values);
-        this.reset();
-        return result;
-    }
+            const chunk = await builderClone.get();
 
-    async insertBatch(table, data) {
-        this._validateTableName(table);
-        this._validateBatchData(data);
+            if (chunk.length === 0) {
+                break;
+            }
 
-        const fields = Object.keys(data[0]);
-        const escapedFields = fields.map(field => this.driver.escapeIdentifier(field));
+            lastId = chunk[chunk.length - 1][alias];
+            if (lastId === undefined || lastId === null) {
+                throw new Error(`A coluna ${alias} precisa estar no SELECT e não pode ser NULL para chunkById`);
+            }
 
-        const values = [];
-        const placeholders = [];
+            const shouldContinue = await callback(chunk, page);
+            processedRows += chunk.length;
 
-        data.forEach(row => {
-            // ✅ Validar que todas as linhas têm os mesmos campos
-            const rowFields = Object.keys(row);
-            if (!this._arraysEqual(fields, rowFields)) {
-                throw new Error('Todas as linhas do batch devem ter os mesmos campos');
+            if (shouldContinue === false || chunk.length < size) {
+                break;
             }
 
-            const rowValues = fields.map(field => row[field]);
-            values.push(...rowValues);
-            placeholders.push(`(${fields.map(() => '?').join(', ')})`);
-        });
+            page++;
+        }
+
+        return processedRows;
+    }
+
+    // ✅ Callback por linha sobre chunkById; retornar false interrompe
+    async eachById(callback, size = 1000, options = {}) {
+        this._validateCallback(callback);
+
+        let index = 0;
+
+        await this.chunkById(size, async chunk => {
+            for (const row of chunk) {
+                if (await callback(row, index++) === false) return false;
+            }
+        }, options);
+
+        return index;
+    }
+
+    // ✅ Itera o resultado linha a linha com cursor no servidor, em memória constante:
+    // for await (const row of db.from('eventos').stream()) { ... }
+    // options.batchSize: linhas buscadas por vez (padrão: config.streamBatchSize ou 1000)
+    async *stream(options = {}) {
+        this._validateQueryState();
+        this._validateLock();
+
+        if (!this.connection) {
+            throw new Error('QueryBuilder sem conexão (criado com forDialect): use toSQL(), compileInsert(), compileUpdate() ou compileDelete()');
+        }
+
+        const batchSize = options.batchSize || this.config.streamBatchSize || 1000;
+        this._validateChunkSize(batchSize);
+
+        const {sql, bindings} = this._compileSelect();
+        this.reset();
+
+        if (this.DEBUG) this._logQueryExecution(sql, bindings, 0);
+
+        yield* this._currentDriver().stream(sql, bindings, {batchSize});
+    }
+
+    // ✅ Paginação por cursor (keyset): usa as colunas do orderBy como ponto de partida,
+    // sem OFFSET. As colunas da ordenação não podem ser NULL e devem estar no SELECT.
+    // options.tiebreaker: coluna única adicionada ao fim da ordenação (padrão: 'id')
+    async cursorPaginate(perPage = 15, cursor = null, options = {}) {
+        this._validatePagination(1, perPage);
+
+        const query = this.clone();
+        const tiebreaker = options.tiebreaker || 'id';
+
+        if (query.orders.some(order => order.type !== 'column')) {
+            throw new Error('cursorPaginate aceita apenas ordenações por coluna (orderBy)');
+        }
+        // 'id' já está na ordenação como 'p.id'; com JOINs, o desempate sem tabela é qualificado pela tabela do FROM
+        const qualified = tiebreaker.includes('.');
+        const sameColumn = column => qualified ? column === tiebreaker : column.split('.').pop() === tiebreaker;
+        if (!query.orders.some(order => sameColumn(order.column))) {
+            const lastOrder = query.orders[query.orders.length - 1];
+            const base = query.table && query.table.type === 'table' ? query.table.alias || query.table.name : null;
+            const column = !qualified && base && query.joins.length > 0 ? `${base}.${tiebreaker}` : tiebreaker;
+            query.orders.push({type: 'column', column, direction: lastOrder ? lastOrder.direction : 'ASC'});
+        }
+
+        const orders = query.orders.map(({column, direction}) => ({column, direction}));
+        const decoded = cursor ? this._decodeCursor(cursor, orders) : null;
+        const backwards = decoded !== null && decoded.direction === 'prev';
+
+        if (decoded) {
+            query._addWhereIsolated(this._seekCondition(orders, decoded.values, backwards));
+        }
+
+        // Voltando uma página: inverte a ordenação e depois a ordem das linhas
+        if (backwards) {
+            query.orders = query.orders.map(order => ({...order, direction: order.direction === 'ASC' ? 'DESC' : 'ASC'}));
+        }
+
+        query.limitValue = perPage + 1;
+        query.offsetValue = null;
 
-        const sql = `INSERT INTO ${this.driver.escapeIdentifier(table)} (${escapedFields.join(', ')})
-                     VALUES ${placeholders.join(', ')}`;
+        const rows = await query.get();
+        const hasMore = rows.length > perPage;
+        const data = rows.slice(0, perPage);
+        if (backwards) data.reverse();
 
-        const result = await this.executeQuery(sql, values);
+        this.reset();
+
+        const hasNext = backwards || hasMore;
+        const hasPrev = backwards ? hasMore : decoded !== null;
+
+        return {
+            data,
+            nextCursor: hasNext && data.length > 0 ? this._encodeCursor(orders, data[data.length - 1], 'next') : null,
+            prevCursor: hasPrev && data.length > 0 ? this._encodeCursor(orders, data[0], 'prev') : null
+        };
+    }
+
+
+    // ===============================
+    // ✅ INSERT METHODS MELHORADOS
+    // ===============================
+
+    async insert(table, data) {
+        if (Array.isArray(data)) {
+            return this.insertBatch(table, data);
+        }
+
+        const result = await this._executeWrite('insert', this.compileInsert(table, data), table, [data]);
         this.reset();
         return result;
     }
 
-    // ✅ INSERT com ON DUPLICATE KEY UPDATE (MySQL) / ON CONFLICT (PostgreSQL)
-    async insertOrUpdate(table, data, conflictColumns = null) {
+    // ✅ Compila o INSERT sem executar (lote quando data é um array)
+    compileInsert(table, data) {
         this._validateTableName(table);
         this._validateInsertData(data);
 
-        if (this.driverType === 'mysql' || this.driverType === 'mariadb') {
-            return this._insertOrUpdateMySQL(table, data);
-        } else if (this.driverType === 'postgres' || this.driverType === 'postgresql') {
-            return this._insertOrUpdatePostgreSQL(table, data, conflictColumns);
-        } else {
-            throw new Error('insertOrUpdate não suportado para este driver');
+        if (Array.isArray(data)) {
+            return this.compileInsertBatch(table, data);
         }
+
+        return this.compiler.compileInsert(this, table, data);
     }
 
-    async _insertOrUpdateMySQL(table, data) {
-        const fields = Object.keys(data);
-        const values = Object.values(data);
-        const escapedFields = fields.map(field => this.driver.escapeIdentifier(field));
-        const placeholders = fields.map(() => '?').join(', ');
+    // ✅ Divide o lote para respeitar o limite de parâmetros do banco (e max_allowed_packet no MySQL)
+    // options.batchSize: linhas por INSERT (padrão: config.insertBatchSize, sem limite)
+    // options.maxBindings: parâmetros por INSERT (padrão: config.maxBindings ou o limite do dialeto)
+    // options.transaction: executa todos os INSERTs numa transação
+    // Retorna { affectedRows, rows } somando os lotes; rows traz o RETURNING do PostgreSQL
+    async insertBatch(table, data, options = {}) {
+        this._validateTableName(table);
 
-        const updateClauses = fields.map(field =>
-            `${this.driver.escapeIdentifier(field)} = VALUES(${this.driver.escapeIdentifier(field)})`
-        );
+        const batches = this._chunkRows(data, options).map(rows => ({...this.compileInsertBatch(table, rows), rows}));
+        return this._executeBatches('insert', table, batches, options);
+    }
 
-        const sql = `INSERT INTO ${this.driver.escapeIdentifier(table)} (${escapedFields.join(', ')})
-                     VALUES (${placeholders})
-                     ON DUPLICATE KEY UPDATE ${updateClauses.join(', ')}`;
+    compileInsertBatch(table, data) {
+        this._validateTableName(table);
+        this._validateBatchData(data);
 
-        const result = await this.executeQuery(sql, values);
-        this.reset();
-        return result;
+        return this.compiler.compileInsertBatch(this, table, data);
     }
 
-    async _insertOrUpdatePostgreSQL(table, data, conflictColumns) {
-        if (!conflictColumns || !Array.isArray(conflictColumns)) {
-            throw new Error('conflictColumns é obrigatório para PostgreSQL');
+    // Fatias de linhas com no máximo maxBindings parâmetros (e batchSize linhas) cada
+    _chunkRows(data, options) {
+        this._validateBatchData(data);
+
+        const columns = Object.keys(data[0]).length;
+        const maxBindings = options.maxBindings || this.config.maxBindings || this.compiler.maxBindings;
+        const batchSize = options.batchSize || this.config.insertBatchSize || data.length;
+        this._validateChunkSize(batchSize);
+
+        if (columns > maxBindings) {
+            throw new Error(`Uma linha com ${columns} colunas excede o limite de ${maxBindings} parâmetros`);
         }
 
-        const fields = Object.keys(data);
-        const values = Object.values(data);
-        const escapedFields = fields.map(field => this.driver.escapeIdentifier(field));
-        const placeholders = fields.map(() => '?').join(', ');
+        const rowsPerBatch = Math.min(batchSize, Math.floor(maxBindings / columns));
+        const chunks = [];
+        for (let start = 0; start < data.length; start += rowsPerBatch) {
+            chunks.push(data.slice(start, start + rowsPerBatch));
+        }
+        return chunks;
+    }
 
-        const updateClauses = fields
-            .filter(field => !conflictColumns.includes(field))
-            .map(field => `${this.driver.escapeIdentifier(field)} = EXCLUDED.${this.driver.escapeIdentifier(field)}`);
+    // ✅ Executa INSERT/UPDATE/DELETE; sem RETURNING no dialeto, returning() é emulado
+    // relendo as linhas numa sessão (no pool, a mesma conexão durante toda a operação)
+    // driver: sessão já dentro de uma transação (ver _atomic()); por padrão, a da transaction() em curso ou o driver do builder
+    async _executeWrite(statement, {sql, bindings}, table, rows = [], driver = null) {
+        const nativeStatement = ['insertOrUpdate', 'insertUsing'].includes(statement) ? 'insert' : statement;
+        if (!Array.isArray(this.returningColumns) || this.compiler.supportsReturning(nativeStatement, this)) {
+            return this._writeResult(nativeStatement, await this.executeQuery(sql, bindings, driver || this._currentDriver()));
+        }
 
-        const escapedConflictColumns = conflictColumns.map(col => this.driver.escapeIdentifier(col));
+        // Sem chaves conhecidas de antemão não há como reler as linhas
+        if (nativeStatement !== statement) {
+            throw this.compiler.unsupported(`returning() em ${statement}`);
+        }
 
-        let sql = `INSERT INTO ${this.driver.escapeIdentifier(table)} (${escapedFields.join(', ')})
-                   VALUES (${placeholders})
-                   ON CONFLICT (${escapedConflictColumns.join(', ')})`;
+        // Leitura e escrita na mesma transação: as linhas devolvidas são as que o comando alterou
+        const result = driver
+            ? await this._emulateReturning(statement, sql, bindings, table, rows, driver)
+            : await this._atomic(pinned => this._emulateReturning(statement, sql, bindings, table, rows, pinned));
+        return this._writeResult(nativeStatement, result);
+    }
 
-        if (updateClauses.length > 0) {
-            sql += ` DO UPDATE SET ${updateClauses.join(', ')}`;
-        } else {
-            sql += ' DO NOTHING';
+    // O lastInsertRowid do SQLite sobrevive a UPDATE/DELETE: insertId só vale para INSERT
+    _writeResult(statement, result) {
+        return statement === 'insert' ? result : {...result, insertId: null};
+    }
+
+    // Roda numa transação (ver _executeWrite()).
+    // INSERT: relê pela chave informada nas linhas ou, com uma única linha, pelo insertId.
+    // UPDATE: trava as chaves com SELECT ... FOR UPDATE e relê depois. DELETE: lê e trava as linhas antes de apagar.
+    async _emulateReturning(statement, sql, bindings, table, rows, driver) {
+        const key = this.returningKey;
+        let target = table;
+        if (typeof table === 'string') {
+            const [name, alias] = this._parseTableAlias(table);
+            target = {type: 'table', name, alias};
         }
 
-        sql += ' RETURNING *';
+        if (statement === 'insert') {
+            const keys = rows.map(row => row[key]);
+            const explicitKeys = keys.length > 0 && keys.every(id => id !== undefined && id !== null);
+            // Os ids gerados por um INSERT de várias linhas não são necessariamente consecutivos nem exclusivos
+            // dele (innodb_autoinc_lock_mode = 2, auto_increment_increment > 1): só o da primeira linha é conhecido
+            if (!explicitKeys && rows.length > 1) {
+                throw this.compiler.unsupported(`returning() em INSERT de várias linhas sem "${key}" em cada linha`, 'RETURNING nativo');
+            }
 
-        const result = await this.executeQuery(sql, values);
-        this.reset();
-        return result;
+            const result = await this.executeQuery(sql, bindings, driver);
+            const ids = explicitKeys ? keys : [result.insertId].filter(Boolean);
+            return {...result, rows: await this._reselectRows(target, ids, driver)};
+        }
+
+        const qualify = column => column.includes('.') ? column : `${target.alias || target.name}.${column}`;
+        const matched = this.clone();
+        matched.table = target;
+        matched.columns = (statement === 'delete' ? this.returningColumns : [key])
+            .map(column => ({type: 'column', column: qualify(column)}));
+        matched.lock = {mode: 'update', of: [], wait: null};
+
+        const selected = matched._compileSelect();
+        const {rows: found} = await this.executeQuery(selected.sql, selected.bindings, driver);
+        const result = await this.executeQuery(sql, bindings, driver);
+
+        return {
+            ...result,
+            rows: statement === 'delete' ? found : await this._reselectRows(target, found.map(row => row[key]), driver)
+        };
     }
 
-    async replace(table, data) {
+    async _reselectRows(target, ids, driver) {
+        if (ids.length === 0) return [];
+        return this._reselect(this._returningQuery(target).whereIn(this.returningKey, ids), driver);
+    }
+
+    _returningQuery(target) {
+        const query = this.newQuery();
+        query.table = {type: 'table', name: target.name, alias: null};
+        query.columns = this.returningColumns.map(column => ({type: 'column', column}));
+        return query.orderBy(this.returningKey);
+    }
+
+    async _reselect(query, driver) {
+        const {sql, bindings} = query._compileSelect();
+        return (await this.executeQuery(sql, bindings, driver)).rows;
+    }
+
+    // Executa os statements em sequência (numa transação se options.transaction) e soma os resultados;
+    // insertId é o do primeiro lote
+    async _executeBatches(statement, table, batches, options) {
+        const run = async driver => {
+            const summary = {affectedRows: 0, insertId: null, rows: [], changedRows: 0};
+            for (const batch of batches) {
+                const result = await this._executeWrite(statement, batch, table, batch.rows, driver);
+                summary.affectedRows += result.affectedRows;
+                summary.changedRows += result.changedRows;
+                summary.insertId ??= result.insertId;
+                summary.rows.push(...result.rows);
+            }
+            return summary;
+        };
+
+        try {
+            return options.transaction ? await this._atomic(run) : await run(null);
+        } finally {
+            this.reset();
+        }
+    }
+
+    // ✅ Transação presa a uma conexão: no pool, BEGIN, os comandos e COMMIT/ROLLBACK vão para a
+    // mesma conexão (session()). Dentro de transaction() reaproveita a transação e a conexão já abertas
+    async _atomic(callback) {
+        if (this.inTransaction) return callback(this._currentDriver());
+
+        return this.driver.session(async driver => {
+            await driver.beginTransaction();
+            try {
+                const result = await callback(driver);
+                await driver.commitTransaction();
+                return result;
+            } catch (error) {
+                await driver.rollbackTransaction();
+                throw error;
+            }
+        });
+    }
+
+    // ✅ INSERT com ON DUPLICATE KEY UPDATE (MySQL) / ON CONFLICT (PostgreSQL/SQLite)
+    // data: uma linha ou um array de linhas (dividido em lotes como no insertBatch)
+    // options.update: colunas atualizadas no conflito (padrão: todas menos conflictColumns)
+    //     ou mapa { coluna: 'expressão SQL' }, ex.: { total: 'pedidos.total + excluded.total' }
+    // options.constraint: ON CONFLICT ON CONSTRAINT nome (PostgreSQL)
+    // options.conflictWhere: predicado do índice único parcial (PostgreSQL/SQLite)
+    // Também aceita batchSize, maxBindings e transaction; retorna { affectedRows, rows }
+    async insertOrUpdate(table, data, conflictColumns = null, options = {}) {
+        const batches = this._chunkRows(Array.isArray(data) ? data : [data], options)
+            .map(rows => ({...this.compileUpsert(table, rows, conflictColumns, options), rows}));
+        return this._executeBatches('insertOrUpdate', table, batches, options);
+    }
+
+    // ✅ Compila o upsert sem executar
+    compileUpsert(table, data, conflictColumns = null, options = {}) {
         this._validateTableName(table);
-        this._validateInsertData(data);
+        const rows = Array.isArray(data) ? data : [data];
+        this._validateBatchData(rows);
 
-        if (this.driverType !== 'mysql' && this.driverType !== 'mariadb') {
-            throw new Error('REPLACE só é suportado no MySQL/MariaDB');
+        if (Array.isArray(options.update)) {
+            options.update.forEach(column => this._validateFieldName(column));
+        } else if (options.update) {
+            Object.keys(options.update).forEach(column => this._validateFieldName(column));
         }
 
-        const fields = Object.keys(data);
-        const values = Object.values(data);
-        const escapedFields = fields.map(field => this.driver.escapeIdentifier(field));
-        const placeholders = fields.map(() => '?').join(', ');
+        return this.compiler.compileUpsert(this, table, rows, conflictColumns, options);
+    }
+
+    // ✅ INSERT INTO tabela (colunas) SELECT ...: copia linhas entre tabelas sem passar pelo Node
+    // query: função que monta o SELECT ou um QueryBuilder, com as colunas na ordem de columns
+    // options: conflictColumns, update, constraint e conflictWhere, como no insertOrUpdate
+    async insertUsing(table, columns, query, options = {}) {
+        const result = await this._executeWrite('insertUsing', this.compileInsertUsing(table, columns, query, options), table);
+        this.reset();
+        return result;
+    }
+
+    compileInsertUsing(table, columns, query, options = {}) {
+        this._validateTableName(table);
+        this._validateArrayValues(columns, 'insertUsing');
+        columns.forEach(column => this._validateFieldName(column));
+
+        const upsert = ['conflictColumns', 'update', 'constraint', 'conflictWhere'].some(option => options[option]);
+        return this.compiler.compileInsertUsing(this, table, columns, this._subquery(query, 'insertUsing'), {...options, upsert});
+    }
 
-        const sql = `REPLACE INTO ${this.driver.escapeIdentifier(table)} (${escapedFields.join(', ')})
-                     VALUES (${placeholders})`;
+    async replace(table, data) {
+        this._validateTableName(table);
+        this._validateInsertData(data);
 
-        const result = await this.executeQuery(sql, values);
+        const {sql, bindings} = this.compiler.compileReplace(this, table, data);
+        const result = await this.executeQuery(sql, bindings);
         this.reset();
         return result;
     }
@@ -1107,12 +1557,19 @@ class QueryBuilder {
         this._validateNotEmpty(expression, 'Expressão SET');
 
         this.updateData = this.updateData || {};
-        this.updateData[field] = {__raw: expression, __bindings: bindings};
+        this.updateData[field] = new Raw(expression, bindings);
 
         return this;
     }
 
     async update(table, data = null, where = null) {
+        const result = await this._executeWrite('update', this.compileUpdate(table, data, where), table);
+        this.reset();
+        return result;
+    }
+
+    // ✅ Compila o UPDATE sem executar
+    compileUpdate(table, data = null, where = null) {
         this._validateTableName(table);
 
         const updateData = data || this.updateData;
@@ -1122,39 +1579,9 @@ class QueryBuilder {
             this.where(where);
         }
 
-        const setClauses = [];
-        const setValues = [];
-
-        Object.entries(updateData).forEach(([field, value]) => {
-            if (typeof value === 'object' && value !== null && value.__raw) {
-                // ✅ Suporte a expressões raw
-                setClauses.push(`${this.driver.escapeIdentifier(field)} = ${value.__raw}`);
-                if (value.__bindings && Array.isArray(value.__bindings)) {
-                    setValues.push(...value.__bindings);
-                }
-            } else {
-                setClauses.push(`${this.driver.escapeIdentifier(field)} = ?`);
-                setValues.push(value);
-            }
-        });
-
-        let sql = `UPDATE ${this.driver.escapeIdentifier(table)}
-                   SET ${setClauses.join(', ')}`;
-
-        if (this.whereClauses.length > 0) {
-            sql += ` WHERE ${this.whereClauses.join(' ')}`;
-        }
-
-        const allParams = [...setValues, ...this.params];
-
-        // ✅ RETURNING para PostgreSQL
-        if (this.driverType === 'postgres' || this.driverType === 'postgresql') {
-            sql += ' RETURNING *';
-        }
-
-        const result = await this.executeQuery(sql, allParams);
-        this.reset();
-        return result;
+        // Com join() o UPDATE vira UPDATE ... JOIN (MySQL/MariaDB) ou UPDATE ... FROM (PostgreSQL/SQLite)
+        const [name, alias] = this._parseTableAlias(table);
+        return this.compiler.compileUpdate(this, {type: 'table', name, alias}, updateData);
     }
 
     // ✅ Increment/Decrement
@@ -1167,17 +1594,10 @@ class QueryBuilder {
             this.where(where);
         }
 
-        let sql = `UPDATE ${this.driver.escapeIdentifier(table)}
-                   SET ${this.driver.escapeIdentifier(field)} = ${this.driver.escapeIdentifier(field)} + ?`;
-
-        if (this.whereClauses.length > 0) {
-            sql += ` WHERE ${this.whereClauses.join(' ')}`;
-        }
-
-        const params = [amount, ...this.params];
-        const result = await this.executeQuery(sql, params);
+        const {sql, bindings} = this.compiler.compileIncrement(this, table, field, amount);
+        const result = await this.executeQuery(sql, bindings);
         this.reset();
-        return result;
+        return this._writeResult('update', result);
     }
 
     async decrement(table, field, amount = 1, where = null) {
@@ -1190,47 +1610,54 @@ class QueryBuilder {
     // ===============================
 
     async delete(table = null, where = null) {
+        const result = await this._executeWrite('delete', this.compileDelete(table, where), this.table);
+        this.reset();
+        return result;
+    }
+
+    // ✅ Compila o DELETE sem executar
+    compileDelete(table = null, where = null) {
         if (table) {
             this._validateTableName(table);
-            this.fromTable = this.driver.escapeIdentifier(table);
+            const [name, alias] = this._parseTableAlias(table);
+            this.table = {type: 'table', name, alias};
         }
 
         if (where) {
             this.where(where);
         }
 
-        if (!this.fromTable) {
+        if (!this.table) {
             throw new Error('Tabela é obrigatória para operação DELETE');
         }
 
-        let sql = `DELETE
-                   FROM ${this.fromTable}`;
+        return this.compiler.compileDelete(this);
+    }
 
-        if (this.whereClauses.length > 0) {
-            sql += ` WHERE ${this.whereClauses.join(' ')}`;
+    // ✅ Colunas devolvidas por insert/update/delete. RETURNING nativo no PostgreSQL, no SQLite e
+    // no MariaDB 10.5+ (INSERT/DELETE); no MySQL as linhas são relidas pela chave primária key,
+    // na mesma conexão. false desativa o RETURNING * padrão do PostgreSQL.
+    returning(columns = ['*'], key = 'id') {
+        if (columns === false) {
+            this.returningColumns = false;
+            return this;
         }
 
-        // ✅ RETURNING para PostgreSQL
-        if (this.driverType === 'postgres' || this.driverType === 'postgresql') {
-            sql += ' RETURNING *';
-        }
+        const list = Array.isArray(columns) ? columns : [columns];
+        this._validateArrayValues(list, 'returning');
+        list.filter(column => column !== '*').forEach(column => this._validateFieldName(column));
+        this._validateFieldName(key);
 
-        const result = await this.executeQuery(sql, this.params);
-        this.reset();
-        return result;
+        this.returningColumns = [...list];
+        this.returningKey = key;
+        return this;
     }
 
     async emptyTable(table) {
         this._validateTableName(table);
 
-        let sql;
-        if (this.driverType === 'postgres' || this.driverType === 'postgresql') {
-            sql = `TRUNCATE TABLE ${this.driver.escapeIdentifier(table)} RESTART IDENTITY CASCADE`;
-        } else {
-            sql = `TRUNCATE TABLE ${this.driver.escapeIdentifier(table)}`;
-        }
-
-        const result = await this.executeQuery(sql, []);
+        const {sql, bindings} = this.compiler.compileTruncate(table);
+        const result = await this.executeQuery(sql, bindings);
         this.reset();
         return result;
     }
@@ -1240,11 +1667,24 @@ class QueryBuilder {
     // ✅ TRANSACTION SUPPORT
     // ===============================
 
+    // ✅ A transação roda numa sessão (driver.session()): no pool, BEGIN, os comandos do callback
+    // (inclusive os de clones do builder) e COMMIT/ROLLBACK usam a mesma conexão
     async transaction(callback) {
         this._validateCallback(callback);
 
-        const isNestedTransaction = this.inTransaction;
+        if (this.inTransaction) return this._runInTransaction(callback, true);
 
+        return this.driver.session(async driver => {
+            this.transactionDriver = driver;
+            try {
+                return await this._runInTransaction(callback, false);
+            } finally {
+                this.transactionDriver = null;
+            }
+        });
+    }
+
+    async _runInTransaction(callback, isNestedTransaction) {
         if (!isNestedTransaction) await this.beginTransaction();
 
         try {
@@ -1265,7 +1705,7 @@ class QueryBuilder {
 
     async beginTransaction() {
         if (this.inTransaction) throw new Error('Já existe uma transação iniciada.');
-        await this.driver.beginTransaction();
+        await this._currentDriver().beginTransaction();
         this.inTransaction = true;
         if (this.DEBUG) console.log('🔄 Transação iniciada na QueryBuilder');
     }
@@ -1273,7 +1713,7 @@ class QueryBuilder {
 
     async commitTransaction() {
         if (!this.inTransaction) throw new Error('Nenhuma transação está ativa para confirmar.');
-        await this.driver.commitTransaction();
+        await this._currentDriver().commitTransaction();
         this.inTransaction = false;
         if (this.DEBUG) console.log('✅ Transação confirmada na QueryBuilder');
     }
@@ -1281,7 +1721,7 @@ class QueryBuilder {
 
     async rollbackTransaction() {
         if (!this.inTransaction) throw new Error('Nenhuma transação está ativa para reverter.');
-        await this.driver.rollbackTransaction();
+        await this._currentDriver().rollbackTransaction();
         this.inTransaction = false;
         if (this.DEBUG) console.log('⛔ Transação revertida na QueryBuilder');
     }
@@ -1294,17 +1734,80 @@ class QueryBuilder {
     async query(sql, params = []) {
         this._validateNotEmpty(sql, 'SQL');
 
-        if (!Array.isArray(params)) {
+        if (SqlParameters.isNamed(params)) {
+            ({sql, bindings: params} = SqlParameters.bindNamed(sql, params, this.dialect));
+        } else if (!Array.isArray(params)) {
             params = [params];
         }
 
-        return await this.executeQuery(sql, params);
+        // SQL livre: devolve o resultado cru do driver
+        return await this._timedExecution(sql, params, () => this._currentDriver().execute(sql, params));
     }
 
     getCompiledSelect() {
         return this.buildSelectQuery();
     }
 
+    // ✅ SELECT compilado com seus parâmetros, sem executar
+    toSQL() {
+        const {sql, bindings} = this._compileSelect();
+        return {sql, bindings: [...bindings]};
+    }
+
+    getBindings() {
+        return this.toSQL().bindings;
+    }
+
+    // ✅ Expressão SQL usada como está em select/where/orderBy/groupBy/set/insert/JOIN:
+    // QueryBuilder.raw('NOW()'), QueryBuilder.raw('preco * ?', [1.1])
+    static raw(sql, bindings = []) {
+        return new Raw(sql, bindings);
+    }
+
+    // ✅ Builder sem conexão, apenas para compilar SQL de um dialeto
+    // (scripts de build, snapshots de SQL, ferramentas de revisão)
+    static forDialect(dialect, config = {}) {
+        return new QueryBuilder(null, dialect, config);
+    }
+
+    // ✅ Macros e scopes: métodos encadeáveis registrados para todos os builders
+    // QueryBuilder.macro('ativos', function () { return this.where('ativo', 1); })
+    static macro(name, fn) {
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            throw new Error('Nome da macro é obrigatório e deve ser uma string não vazia');
+        }
+        if (typeof fn !== 'function') throw new Error('Macro deve ser uma função');
+
+        if (name in QueryBuilder.prototype && !QueryBuilder.macros.has(name)) {
+            throw new Error(`Macro "${name}" sobrescreveria um método existente do QueryBuilder`);
+        }
+
+        QueryBuilder.macros.set(name, fn);
+        QueryBuilder.prototype[name] = function (...args) {
+            const result = fn.apply(this, args);
+            return result === undefined ? this : result;
+        };
+    }
+
+    // Scope recebe o builder como primeiro argumento:
+    // QueryBuilder.scope('visivelPara', (q, usuario) => q.where('tenant_id', usuario.tenantId))
+    static scope(name, fn) {
+        if (typeof fn !== 'function') throw new Error('Scope deve ser uma função');
+        QueryBuilder.macro(name, function (...args) {
+            return fn(this, ...args);
+        });
+    }
+
+    static hasMacro(name) {
+        return QueryBuilder.macros.has(name);
+    }
+
+    // Remove todas as macros/scopes registrados (útil entre testes)
+    static flushMacros() {
+        QueryBuilder.macros.forEach((fn, name) => delete QueryBuilder.prototype[name]);
+        QueryBuilder.macros.clear();
+    }
+
     getLastQuery() {
         return this.lastQuery;
     }
@@ -1313,27 +1816,37 @@ class QueryBuilder {
     clone() {
         const cloned = new QueryBuilder(this.connection, this.driverType, this.config);
 
-        cloned.selectFields = [...this.selectFields];
-        cloned.fromTable = this.fromTable;
-        cloned.joinClauses = [...this.joinClauses];
-        cloned.whereClauses = [...this.whereClauses];
-        cloned.groupByFields = [...this.groupByFields];
-        cloned.havingClauses = [...this.havingClauses];
-        cloned.orderByFields = [...this.orderByFields];
+        cloned.columns = [...this.columns];
+        cloned.table = this.table;
+        cloned.joins = [...this.joins];
+        cloned.wheres = [...this.wheres];
+        cloned.groups = [...this.groups];
+        cloned.havings = [...this.havings];
+        cloned.orders = [...this.orders];
         cloned.limitValue = this.limitValue;
         cloned.offsetValue = this.offsetValue;
         cloned.distinctFlag = this.distinctFlag;
-        cloned.params = [...this.params];
         cloned.updateData = this.updateData ? {...this.updateData} : null;
-        cloned.cteQueries = [...this.cteQueries];
-        cloned.subqueries = [...this.subqueries];
+        cloned.ctes = [...this.ctes];
+        cloned.unions = [...this.unions];
+        cloned.outerOrders = [...this.outerOrders];
+        cloned.outerLimitValue = this.outerLimitValue;
+        cloned.outerOffsetValue = this.outerOffsetValue;
+        cloned.lock = this.lock ? {...this.lock} : null;
+        cloned.returningColumns = Array.isArray(this.returningColumns) ? [...this.returningColumns] : this.returningColumns;
+        cloned.returningKey = this.returningKey;
+        cloned.inTransaction = this.inTransaction;
+        cloned.transactionDriver = this.transactionDriver;
 
         return cloned;
     }
 
-    // ✅ Builder pattern para reutilização
+    // ✅ Builder limpo, com a mesma conexão e configuração (e a mesma transação, se houver)
     newQuery() {
-        return this.builder();
+        const query = new QueryBuilder(this.connection, this.driverType, this.config);
+        query.inTransaction = this.inTransaction;
+        query.transactionDriver = this.transactionDriver;
+        return query;
     }
 
     // ===============================
@@ -1341,11 +1854,20 @@ class QueryBuilder {
     // ===============================
 
     _validateQueryState() {
-        if (!this.fromTable && this.currentOperation === 'SELECT') {
+        if (!this.table && this.currentOperation === 'SELECT') {
             throw new Error('FROM é obrigatório para queries SELECT');
         }
     }
 
+    // Fora de uma transação o lock seria liberado assim que o SELECT terminasse. No pool, beginTransaction()
+    // não prende a conexão: só transaction() garante que o SELECT vá para a conexão do BEGIN
+    _validateLock() {
+        if (!this.lock) return;
+        if (!this.inTransaction || (this.driver.isPool && !this.transactionDriver)) {
+            throw new Error('lockForUpdate()/sharedLock() só podem ser executados dentro de transaction()');
+        }
+    }
+
     _validateSelectFields(fields) {
         if (!this.validation.enabled) return;
 
@@ -1388,7 +1910,7 @@ class QueryBuilder {
     _validateWhereCount() {
         if (!this.validation.enabled) return;
 
-        if (this.whereClauses.length >= this.validation.maxWhereConditions) {
+        if (this.wheres.length >= this.validation.maxWhereConditions) {
             throw new Error(`Muitas condições WHERE (máximo: ${this.validation.maxWhereConditions})`);
         }
     }
@@ -1396,15 +1918,22 @@ class QueryBuilder {
     _validateJoinCount() {
         if (!this.validation.enabled) return;
 
-        if (this.joinClauses.length >= this.validation.maxJoins) {
+        if (this.joins.length >= this.validation.maxJoins) {
             throw new Error(`Muitos JOINs (máximo: ${this.validation.maxJoins})`);
         }
     }
 
+    _validateJoinType(type) {
+        const validJoinTypes = ['INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'];
+        if (!validJoinTypes.includes(type.toUpperCase())) {
+            throw new Error(`Tipo de JOIN inválido: ${type}. Tipos válidos: ${validJoinTypes.join(', ')}`);
+        }
+    }
+
     _validateGroupByCount() {
         if (!this.validation.enabled) return;
 
-        if (this.groupByFields.length >= this.validation.maxGroupByFields) {
+        if (this.groups.length >= this.validation.maxGroupByFields) {
             throw new Error(`Muitos campos GROUP BY (máximo: ${this.validation.maxGroupByFields})`);
         }
     }
@@ -1412,7 +1941,7 @@ class QueryBuilder {
     _validateOrderByCount() {
         if (!this.validation.enabled) return;
 
-        if (this.orderByFields.length >= this.validation.maxOrderByFields) {
+        if (this.orders.length >= this.validation.maxOrderByFields) {
             throw new Error(`Muitos campos ORDER BY (máximo: ${this.validation.maxOrderByFields})`);
         }
     }
@@ -1458,6 +1987,13 @@ class QueryBuilder {
         if (firstRowFields.length === 0) {
             throw new Error('Primeira linha do batch não pode estar vazia');
         }
+
+        // ✅ Validar que todas as linhas têm os mesmos campos
+        data.forEach(row => {
+            if (!this._arraysEqual(firstRowFields, Object.keys(row))) {
+                throw new Error('Todas as linhas do batch devem ter os mesmos campos');
+            }
+        });
     }
 
     _validateUpdateData(data) {
@@ -1489,69 +2025,290 @@ class QueryBuilder {
     // ✅ MÉTODOS AUXILIARES
     // ===============================
 
-    _addWhereClause(condition, value = null) {
-        const connector = this.whereClauses.length > 0 ? 'AND' : '';
+    _addWhere(condition, boolean = 'AND') {
+        this.wheres.push({...condition, boolean});
+    }
 
-        if (connector) {
-            this.whereClauses.push(`${connector} ${condition}`);
-        } else {
-            this.whereClauses.push(condition);
+    _addHaving(condition, boolean = 'AND') {
+        this.havings.push({...condition, boolean});
+    }
+
+    // ✅ Agrupa as condições criadas no callback entre parênteses
+    _addWhereGroup(callback, boolean = 'AND') {
+        const groupBuilder = this.newQuery();
+        callback(groupBuilder);
+
+        if (groupBuilder.wheres.length > 0) {
+            this._addWhere({type: 'nested', conditions: groupBuilder.wheres}, boolean);
         }
+    }
 
-        if (value !== null && value !== undefined) {
-            if (Array.isArray(value)) {
-                this.params.push(...value);
-            } else {
-                this.params.push(value);
-            }
+    _createSubquery(callback) {
+        const subBuilder = this.newQuery();
+        subBuilder.isSubquery = true;
+        callback(subBuilder);
+        return subBuilder;
+    }
+
+    // Subconsulta a partir de uma função que a monta ou de um QueryBuilder pronto
+    _subquery(query, context) {
+        if (typeof query === 'function') return this._createSubquery(query);
+        if (query instanceof QueryBuilder) return query;
+        throw new Error(`${context} espera uma função que monte a subconsulta ou um QueryBuilder`);
+    }
+
+    _setLock(mode, of) {
+        const tables = of === null || of === undefined ? [] : (Array.isArray(of) ? of : [of]);
+        tables.forEach(table => this._validateTableName(table));
+
+        this.lock = {mode, of: [...tables], wait: this.lock ? this.lock.wait : null};
+        return this;
+    }
+
+    _setLockWait(wait) {
+        if (!this.lock) {
+            throw new Error('Chame lockForUpdate() ou sharedLock() antes de skipLocked()/noWait()');
         }
+
+        this.lock.wait = wait;
+        return this;
     }
 
-    _addWhereGroup(callback) {
-        const groupBuilder = this.clone();
-        groupBuilder.whereClauses = [];
-        groupBuilder.params = [];
+    _addSetOperation(operator, query, all) {
+        this.unions.push({operator, all, query: this._subquery(query, operator)});
+        return this;
+    }
 
-        callback(groupBuilder);
+    _cteColumns(columns) {
+        if (columns === null || columns === undefined) return null;
+        this._validateArrayValues(columns, 'Colunas da CTE');
+        columns.forEach(column => this._validateFieldName(column));
+        return [...columns];
+    }
 
-        if (groupBuilder.whereClauses.length > 0) {
-            const groupCondition = groupBuilder.whereClauses.join(' ');
-            this._addWhereClause(`(${groupCondition})`);
-            this.params.push(...groupBuilder.params);
+    // Callbacks de when()/unless() recebem (builder, valor da condição)
+    _applyConditional(handler, value) {
+        if (!handler) return this;
+
+        this._validateCallback(handler);
+        const result = handler(this, value);
+        return result === undefined ? this : result;
+    }
+
+    _columnCondition(first, operator, second) {
+        if (second === null) {
+            second = operator;
+            operator = '=';
         }
+
+        this._validateFieldName(first);
+        this._validateFieldName(second);
+        this._validateOperator(operator);
+
+        return {type: 'column', first, operator, second};
     }
 
-    _addOrWhereGroup(callback) {
-        const groupBuilder = this.clone();
-        groupBuilder.whereClauses = [];
-        groupBuilder.params = [];
+    _whereDatePart(part, field, value, operator) {
+        this._validateWhereCount();
+        this._validateFieldName(field);
+        this._validateOperator(operator);
 
-        callback(groupBuilder);
+        if (value === null || value === undefined) {
+            throw new Error('Valor do filtro de data é obrigatório');
+        }
+
+        this._addWhere({type: 'date', part, column: field, operator, value});
+        return this;
+    }
+
+    // Condição de JOIN: string raw (ON literal), db.raw() com bindings ou closure que recebe um JoinClause
+    _joinConditions(condition) {
+        if (condition instanceof Raw) {
+            return {conditions: [{...this._rawNode(condition), boolean: 'AND'}]};
+        }
+
+        if (typeof condition !== 'function') {
+            return {condition};
+        }
+
+        const clause = new JoinClause();
+        condition(clause);
+
+        if (clause.conditions.length === 0) {
+            throw new Error('A closure do JOIN deve adicionar ao menos uma condição');
+        }
+        return {conditions: clause.conditions};
+    }
+
+    _rawNode(raw) {
+        return {type: 'raw', sql: raw.sql, bindings: [...raw.bindings]};
+    }
+
+    // 'usuarios u' / 'usuarios AS u' -> ['usuarios', 'u']
+    _parseTableAlias(table) {
+        const match = table.trim().match(/^(\S+)\s+(?:as\s+)?(\S+)$/i);
+        return match ? [match[1], match[2]] : [table.trim(), null];
+    }
+
+    // 'meta->address->city' -> { column: 'meta', segments: ['address', 'city'] }
+    _parseJsonPath(path) {
+        const [column, ...segments] = path.split('->').map(part => part.trim());
+        if (!column || segments.some(segment => segment.length === 0)) {
+            throw new Error(`Caminho JSON inválido: ${path}`);
+        }
+        return {column, segments};
+    }
+
+    _fullTextNode(columns, term, options) {
+        const columnList = Array.isArray(columns) ? [...columns] : [columns];
+        this._validateArrayValues(columnList, 'Busca full-text');
+        columnList.forEach(column => this._validateFieldName(column));
+
+        const mode = options.mode || 'natural';
+        if (!['natural', 'boolean'].includes(mode)) {
+            throw new Error(`Modo de busca inválido: ${mode}. Modos válidos: natural, boolean`);
+        }
 
-        if (groupBuilder.whereClauses.length > 0) {
-            const groupCondition = groupBuilder.whereClauses.join(' ');
-            this.whereClauses.push(`OR (${groupCondition})`);
-            this.params.push(...groupBuilder.params);
+        return {columns: columnList, term, mode, language: options.language || 'simple'};
+    }
+
+    // Adiciona a condição com AND; condições existentes com OR vão entre parênteses antes
+    _addWhereIsolated(condition) {
+        if (this.wheres.some(where => where.boolean === 'OR')) {
+            this.wheres = [{type: 'nested', boolean: 'AND', conditions: this.wheres}];
         }
+        this._addWhere(condition);
+    }
+
+    // COUNT sem ORDER BY/LIMIT; queries com GROUP BY, DISTINCT ou UNION são contadas
+    // como subconsulta, senão o COUNT devolveria o total de cada grupo
+    _countQuery(field = '*') {
+        const query = this.clone();
+        query.orders = [];
+        query.limitValue = null;
+        query.offsetValue = null;
+        query.outerOrders = [];
+        query.outerLimitValue = null;
+        query.outerOffsetValue = null;
+        query.lock = null;
+
+        if (query.groups.length > 0 || query.distinctFlag || query.unions.length > 0) {
+            const outer = this.newQuery();
+            outer.ctes = query.ctes;
+            query.ctes = [];
+            outer.table = {type: 'sub', query, alias: 'aggregate_table'};
+            outer.columns = [{type: 'aggregate', fn: 'COUNT', column: '*', alias: 'count'}];
+            return outer;
+        }
+
+        query.columns = [{type: 'aggregate', fn: 'COUNT', column: field, alias: 'count'}];
+        return query;
+    }
+
+    // (a > ?) OR (a = ? AND b < ?) OR ... respeitando a direção de cada coluna
+    _seekCondition(orders, values, backwards) {
+        const branches = orders.map((order, index) => {
+            const ascending = (order.direction === 'ASC') !== backwards;
+            const conditions = orders.slice(0, index).map((previous, position) =>
+                ({type: 'basic', boolean: 'AND', column: previous.column, operator: '=', value: values[position]})
+            );
+            conditions.push({type: 'basic', boolean: 'AND', column: order.column, operator: ascending ? '>' : '<', value: values[index]});
+            return {type: 'nested', boolean: 'OR', conditions};
+        });
+
+        return {type: 'nested', conditions: branches};
+    }
+
+    // Cursor opaco: base64url de {v: valores da ordenação, d: 'next' | 'prev'}
+    _encodeCursor(orders, row, direction) {
+        const values = orders.map(({column}) => {
+            const key = column.split('.').pop();
+            if (!(key in row)) {
+                throw new Error(`A coluna ${column} da ordenação precisa estar no SELECT para cursorPaginate`);
+            }
+            const value = row[key];
+            return value instanceof Date ? {$date: value.toISOString()} : value;
+        });
+
+        return Buffer.from(JSON.stringify({v: values, d: direction})).toString('base64url');
+    }
+
+    _decodeCursor(cursor, orders) {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Cursor inválido');
+        }
+
+        if (!payload || !Array.isArray(payload.v) || !['next', 'prev'].includes(payload.d)) {
+            throw new Error('Cursor inválido');
+        }
+        if (payload.v.length !== orders.length) {
+            throw new Error('Cursor não corresponde à ordenação atual da query');
+        }
+
+        const values = payload.v.map(value =>
+            value !== null && typeof value === 'object' && '$date' in value ? new Date(value.$date) : value
+        );
+        return {values, direction: payload.d};
+    }
+
+    // { sql, bindings } de uma expressão raw; parâmetros nomeados viram '?' na ordem do SQL
+    _rawExpression(expression, bindings) {
+        if (SqlParameters.isNamed(bindings)) {
+            return SqlParameters.bindNamed(expression, bindings, this.dialect);
+        }
+        return {sql: expression, bindings: this._toBindings(bindings)};
+    }
+
+    _toBindings(bindings) {
+        if (Array.isArray(bindings)) return [...bindings];
+        if (bindings !== null && bindings !== undefined) return [bindings];
+        return [];
     }
 
     _generateCacheKey() {
         const keyData = {
-            select: this.selectFields,
-            from: this.fromTable,
-            joins: this.joinClauses,
-            where: this.whereClauses,
-            groupBy: this.groupByFields,
-            having: this.havingClauses,
-            orderBy: this.orderByFields,
+            select: this.columns,
+            from: this.table,
+            joins: this.joins,
+            where: this.wheres,
+            groupBy: this.groups,
+            having: this.havings,
+            orderBy: this.orders,
             limit: this.limitValue,
             offset: this.offsetValue,
             distinct: this.distinctFlag,
-            cte: this.cteQueries,
-            unions: this.subqueries
+            cte: this.ctes,
+            unions: this.unions,
+            outerOrderBy: this.outerOrders,
+            outerLimit: this.outerLimitValue,
+            outerOffset: this.outerOffsetValue,
+            lock: this.lock
         };
 
-        return JSON.stringify(keyData);
+        // O cache devolve também as bindings: cada valor entra na chave com o seu tipo, para que uma Date
+        // e a string ISO equivalente, ou NaN, Infinity e null, não compartilhem a mesma entrada.
+        // this[key] é o valor antes do toJSON() (a Date chega ao replacer já convertida em string)
+        return JSON.stringify(keyData, function (key, value) {
+            const original = this[key];
+            if (original instanceof QueryBuilder) return original._generateCacheKey();
+            if (original instanceof Date) return `date:${original.getTime()}`;
+            if (Buffer.isBuffer(original)) return `buffer:${original.toString('hex')}`;
+
+            switch (typeof original) {
+                case 'string': return `string:${original}`;
+                case 'number': return Number.isFinite(original) ? original : `number:${original}`;
+                case 'bigint': return `bigint:${original}`;
+                case 'undefined': return 'undefined';
+            }
+            // Instâncias (Raw, JoinClause...) levam o nome da classe
+            if (original && typeof original === 'object' && !Array.isArray(original) && original.constructor !== Object) {
+                return [original.constructor?.name ?? null, {...original}];
+            }
+            return value;
+        });
     }
 
     _arraysEqual(arr1, arr2) {
@@ -1569,7 +2326,7 @@ class QueryBuilder {
         }
 
         // ✅ Detectar queries complexas
-        const complexity = this.joinClauses.length + this.whereClauses.length + this.groupByFields.length + this.havingClauses.length + this.subqueries.length;
+        const complexity = this.joins.length + this.wheres.length + this.groups.length + this.havings.length + this.unions.length;
         if (complexity > 10) {
             this.metrics.complexQueries++;
         }
@@ -1633,17 +2390,17 @@ class QueryBuilder {
 
     getCurrentState() {
         return {
-            selectFields: this.selectFields,
-            fromTable: this.fromTable,
-            joinCount: this.joinClauses.length,
-            whereCount: this.whereClauses.length,
-            groupByCount: this.groupByFields.length,
-            havingCount: this.havingClauses.length,
-            orderByCount: this.orderByFields.length,
+            columns: this.columns,
+            table: this.table,
+            joinCount: this.joins.length,
+            whereCount: this.wheres.length,
+            groupByCount: this.groups.length,
+            havingCount: this.havings.length,
+            orderByCount: this.orders.length,
             limitValue: this.limitValue,
             offsetValue: this.offsetValue,
             distinctFlag: this.distinctFlag,
-            paramCount: this.params.length,
+            paramCount: this.getBindings().length,
             inTransaction: this.inTransaction,
             currentOperation: this.currentOperation
         };
@@ -0,0 +1,25 @@
+// Raw.js
+// Expressão SQL usada como está, com seus próprios parâmetros:
+//   db.raw('NOW()'), QueryBuilder.raw('COALESCE(apelido, ?)', ['anônimo'])
+// Aceita em select(), where(), orderBy(), groupBy(), set()/update(), dados de insert() e condições de JOIN.
+// Os bindings entram na posição em que a expressão aparece no SQL.
+class Raw {
+    constructor(sql, bindings = []) {
+        if (typeof sql !== 'string' || sql.trim().length === 0) {
+            throw new Error('Expressão raw requer uma string SQL não vazia');
+        }
+
+        this.sql = sql;
+        if (Array.isArray(bindings)) {
+            this.bindings = [...bindings];
+        } else {
+            this.bindings = bindings === null || bindings === undefined ? [] : [bindings];
+        }
+    }
+
+    toString() {
+        return this.sql;
+    }
+}
+
+export default Raw;
@@ -0,0 +1,178 @@
+// SqlParameters.js
+// Lexer de parâmetros: percorre o SQL pulando strings, identificadores entre aspas, comentários
+// e blocos $tag$...$tag$ do PostgreSQL, então '?' e ':nome' dentro deles ficam intactos.
+//   ?            parâmetro posicional
+//   ??           '?' literal (operador jsonb "existe a chave" do PostgreSQL)
+//   ?| ?&        operadores jsonb do PostgreSQL, mantidos como estão
+//   :nome $nome  parâmetros nomeados, lidos de um objeto (o mesmo nome pode se repetir)
+import Raw from './Raw.js';
+
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+const DOLLAR_TAG = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y;
+
+class SqlParameters {
+    // Parâmetros nomeados vêm num objeto simples (arrays, Date, Buffer etc. são posicionais)
+    static isNamed(params) {
+        if (params === null || typeof params !== 'object' || Array.isArray(params)) return false;
+        const prototype = Object.getPrototypeOf(params);
+        return prototype === Object.prototype || prototype === null;
+    }
+
+    // ✅ ':nome' / '$nome' -> '?', com os valores na ordem em que aparecem no SQL.
+    // Um valor db.raw() entra como está, com os seus bindings
+    static bindNamed(sql, params, dialect = null) {
+        const bindings = [];
+        const text = this.rewrite(sql, dialect, token => {
+            if (token.type === 'positional') {
+                throw new Error('Não misture parâmetros posicionais (?) e nomeados no mesmo SQL; use ?? para o operador ?');
+            }
+            if (token.type !== 'named') return token.text;
+
+            if (!Object.prototype.hasOwnProperty.call(params, token.name) || params[token.name] === undefined) {
+                throw new Error(`Parâmetro nomeado sem valor: ${token.text}`);
+            }
+
+            const value = params[token.name];
+            if (value instanceof Raw) {
+                bindings.push(...value.bindings);
+                return value.sql;
+            }
+            bindings.push(value);
+            return '?';
+        });
+
+        return {sql: text, bindings};
+    }
+
+    // ✅ '?' -> '$1', '$2', ... (PostgreSQL); '??' vira o operador '?'
+    static toNumbered(sql) {
+        let index = 0;
+        return this.rewrite(sql, 'postgres', token => {
+            if (token.type === 'positional') return `$${++index}`;
+            if (token.type === 'escaped') return '?';
+            return token.text;
+        });
+    }
+
+    // Substitui cada parâmetro encontrado fora de literais/comentários pelo retorno de replace(token)
+    static rewrite(sql, dialect, replace) {
+        const mysql = dialect === 'mysql' || dialect === 'mariadb';
+        let output = '';
+        let index = 0;
+
+        while (index < sql.length) {
+            const end = this._skipLiteral(sql, index, mysql);
+            if (end > index) {
+                output += sql.slice(index, end);
+                index = end;
+                continue;
+            }
+
+            const token = this._parameterAt(sql, index);
+            if (token) {
+                output += replace(token);
+                index += token.text.length;
+                continue;
+            }
+
+            output += sql[index++];
+        }
+
+        return output;
+    }
+
+    // Fim da string, identificador ou comentário que começa em index (ou o próprio index)
+    static _skipLiteral(sql, index, mysql) {
+        const char = sql[index];
+        const next = sql[index + 1];
+
+        if (char === "'") {
+            // Barra invertida escapa no MySQL/MariaDB e nas strings E'...' do PostgreSQL
+            const escapeString = /[Ee]/.test(sql[index - 1] || '') && !/\w/.test(sql[index - 2] || '');
+            return this._skipQuoted(sql, index, "'", mysql || escapeString);
+        }
+        if (char === '"') {
+            // No MySQL/MariaDB "..." é string (sem ANSI_QUOTES) e também aceita barra invertida
+            return this._skipQuoted(sql, index, '"', mysql);
+        }
+        if (char === '`') {
+            return this._skipQuoted(sql, index, '`', false);
+        }
+        if ((char === '-' && next === '-') || (char === '#' && mysql)) {
+            const end = sql.indexOf('\n', index);
+            return end === -1 ? sql.length : end;
+        }
+        if (char === '/' && next === '*') {
+            return this._skipBlockComment(sql, index);
+        }
+        if (char === '$' && !/[\w$]/.test(sql[index - 1] || '')) {
+            DOLLAR_TAG.lastIndex = index;
+            const match = DOLLAR_TAG.exec(sql);
+            if (match) {
+                const end = sql.indexOf(match[0], index + match[0].length);
+                return end === -1 ? sql.length : end + match[0].length;
+            }
+        }
+
+        return index;
+    }
+
+    // Aspas repetidas ('') escapam a aspa; sem fechamento, vai até o fim do SQL
+    static _skipQuoted(sql, index, quote, backslashEscapes) {
+        let position = index + 1;
+        while (position < sql.length) {
+            const char = sql[position];
+            if (backslashEscapes && char === '\\') {
+                position += 2;
+            } else if (char === quote && sql[position + 1] === quote) {
+                position += 2;
+            } else if (char === quote) {
+                return position + 1;
+            } else {
+                position++;
+            }
+        }
+        return sql.length;
+    }
+
+    // /* ... */ com aninhamento, como no PostgreSQL
+    static _skipBlockComment(sql, index) {
+        let depth = 0;
+        let position = index;
+        while (position < sql.length) {
+            if (sql.startsWith('/*', position)) {
+                depth++;
+                position += 2;
+            } else if (sql.startsWith('*/', position)) {
+                depth--;
+                position += 2;
+                if (depth === 0) return position;
+            } else {
+                position++;
+            }
+        }
+        return sql.length;
+    }
+
+    static _parameterAt(sql, index) {
+        const char = sql[index];
+
+        if (char === '?') {
+            const next = sql[index + 1];
+            if (next === '?') return {type: 'escaped', text: '??'};
+            if ((next === '|' && sql[index + 2] !== '|') || next === '&') return {type: 'operator', text: `?${next}`};
+            return {type: 'positional', text: '?'};
+        }
+
+        // 'x::int' (cast) e identificadores com '$' não são parâmetros
+        if ((char === ':' || char === '$') && !/[\w$:]/.test(sql[index - 1] || '')) {
+            IDENTIFIER.lastIndex = index + 1;
+            const match = IDENTIFIER.exec(sql);
+            if (match) return {type: 'named', name: match[0], text: char + match[0]};
+        }
+
+        return null;
+    }
+}
+
+export default SqlParameters;
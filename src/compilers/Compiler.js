@@ -0,0 +1,771 @@
+// Compiler.js
+// Transforma os nós de um QueryBuilder em { sql, bindings }.
+// Os bindings são coletados por cláusula durante a compilação e concatenados
+// na ordem em que as cláusulas aparecem no SQL, independentemente da ordem em
+// que os métodos do builder foram chamados.
+import Raw from '../Raw.js';
+
+class Compiler {
+    constructor(driver, config = {}) {
+        this.driver = driver;
+        this.config = config;
+        this.dialect = driver.dialect;
+
+        // Nomes das CTEs visíveis na query em compilação (pilha, por causa das subconsultas)
+        this.cteNames = [];
+    }
+
+    // ===============================
+    // ✅ IDENTIFICADORES
+    // ===============================
+
+    // Escapa colunas: 'nome', 'u.nome', 'u.*', 'nome as apelido'
+    wrap(value) {
+        const aliasMatch = String(value).match(/^(.+?)\s+as\s+(.+)$/i);
+        if (aliasMatch) {
+            return `${this.wrap(aliasMatch[1])} AS ${this.driver.escapeIdentifier(aliasMatch[2].trim())}`;
+        }
+
+        return String(value).trim().split('.')
+            .map(segment => segment === '*' ? '*' : this.driver.escapeIdentifier(segment))
+            .join('.');
+    }
+
+    wrapTable(name, alias = null) {
+        const wrapped = this.wrap(name);
+        return alias ? `${wrapped} AS ${this.driver.escapeIdentifier(alias)}` : wrapped;
+    }
+
+    columnize(columns) {
+        return columns.map(column => this.wrap(column)).join(', ');
+    }
+
+    parameterize(values) {
+        return values.map(() => '?').join(', ');
+    }
+
+    // ✅ Valor como parâmetro, ou expressão Raw (db.raw()) usada como está com seus bindings
+    parameter(value, bindings) {
+        if (value instanceof Raw) {
+            bindings.push(...value.bindings);
+            return value.sql;
+        }
+        bindings.push(value);
+        return '?';
+    }
+
+    // Coluna escapada, ou expressão Raw no lugar da coluna
+    compileExpression(value, bindings) {
+        if (value instanceof Raw) {
+            bindings.push(...value.bindings);
+            return value.sql;
+        }
+        return this.wrap(value);
+    }
+
+    // ===============================
+    // ✅ CAPACIDADES DO DIALETO
+    // ===============================
+
+    // Parâmetros aceitos em um único statement (PostgreSQL e MySQL/MariaDB: 65.535)
+    get maxBindings() {
+        return 65535;
+    }
+
+    // Erro padrão para recursos que o dialeto (ou a versão do servidor) não oferece
+    unsupported(feature, requirement = null) {
+        const version = this.config.serverVersion ? ` ${this.config.serverVersion}` : '';
+        const detail = requirement ? ` (requer ${requirement})` : '';
+        return new Error(`Recurso não suportado no dialeto ${this.dialect}${version}: ${feature}${detail}`);
+    }
+
+    // Compara config.serverVersion ('8.0.32', '10.6.12-MariaDB') com a versão mínima.
+    // Sem serverVersion configurada, assume um servidor atual.
+    serverVersionAtLeast(minimum) {
+        if (!this.config.serverVersion) return true;
+
+        // O MariaDB se anuncia pelo protocolo como '5.5.5-10.6.12-MariaDB'
+        const serverVersion = String(this.config.serverVersion).replace(/^5\.5\.5-/, '');
+
+        const parse = version => (String(version).match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?/) || [])
+            .slice(1, 4)
+            .map(part => parseInt(part) || 0);
+
+        const current = parse(serverVersion);
+        const required = parse(minimum);
+        for (let i = 0; i < 3; i++) {
+            if (current[i] !== required[i]) return current[i] > required[i];
+        }
+        return true;
+    }
+
+    // ===============================
+    // ✅ SELECT
+    // ===============================
+
+    compileSelect(query) {
+        return this.withCteScope(query, () => this.compileSelectStatement(query));
+    }
+
+    compileSelectStatement(query) {
+        // Um bucket de bindings por cláusula, na ordem em que aparecem no SQL
+        const bindings = {
+            cte: [],
+            select: [],
+            from: [],
+            join: [],
+            where: [],
+            groupBy: [],
+            having: [],
+            order: [],
+            union: []
+        };
+
+        const select = [
+            this.compileColumns(query, bindings.select),
+            this.compileFrom(query, bindings.from),
+            this.compileJoins(query, bindings.join),
+            this.compileWheres(query, bindings.where),
+            this.compileGroups(query, bindings.groupBy),
+            this.compileHavings(query, bindings.having),
+            this.compileOrders(query, bindings.order),
+            this.compileLimit(query),
+            this.compileLock(query)
+        ].filter(Boolean).join(' ');
+
+        const sql = [
+            this.compileCtes(query, bindings.cte),
+            query.unions.length > 0 ? this.compileUnions(query, select, bindings.union) : select
+        ].filter(Boolean).join(' ');
+
+        return {sql, bindings: Object.values(bindings).flat()};
+    }
+
+    // Executa a compilação com os nomes das CTEs da query visíveis para as subconsultas
+    withCteScope(query, callback) {
+        const scopeSize = this.cteNames.length;
+        this.cteNames.push(...query.ctes.map(cte => cte.name));
+        try {
+            return callback();
+        } finally {
+            this.cteNames.length = scopeSize;
+        }
+    }
+
+    compileCtes(query, bindings) {
+        if (query.ctes.length === 0) return '';
+
+        this.checkCteSupport(query);
+
+        const recursive = query.ctes.some(cte => cte.recursive) ? 'RECURSIVE ' : '';
+        const ctes = query.ctes.map(cte => {
+            const columns = cte.columns ? ` (${cte.columns.map(column => this.driver.escapeIdentifier(column)).join(', ')})` : '';
+            return `${this.driver.escapeIdentifier(cte.name)}${columns} AS (${this.compileCteQuery(cte, bindings)})`;
+        });
+        return `WITH ${recursive}${ctes.join(', ')}`;
+    }
+
+    // CTE recursiva: âncora UNION ALL parte recursiva
+    compileCteQuery(cte, bindings) {
+        const anchor = this.compileSubquery(cte.query, bindings);
+        if (!cte.recursiveQuery) return anchor;
+        return `${anchor} UNION ALL ${this.compileSubquery(cte.recursiveQuery, bindings)}`;
+    }
+
+    // Dialetos sem CTE (ou em versões antigas) lançam erro aqui
+    checkCteSupport(query) {
+    }
+
+    // CTEs antes de INSERT/UPDATE/DELETE; statement: 'insert', 'update' ou 'delete'
+    compileWriteCtes(query, bindings, statement) {
+        return this.compileCtes(query, bindings);
+    }
+
+    compileColumns(query, bindings) {
+        const columns = query.columns.length > 0
+            ? query.columns.map(column => this.compileColumn(column, bindings))
+            : ['*'];
+        return `SELECT ${query.distinctFlag ? 'DISTINCT ' : ''}${columns.join(', ')}`;
+    }
+
+    compileColumn(column, bindings) {
+        let sql;
+        switch (column.type) {
+            case 'raw':
+                bindings.push(...(column.bindings || []));
+                sql = column.sql;
+                break;
+            case 'column':
+                sql = this.wrap(column.column);
+                break;
+            case 'aggregate':
+                sql = `${column.fn}(${column.column === '*' ? '*' : this.wrap(column.column)})`;
+                break;
+            case 'window':
+                sql = `${column.expression} OVER (${column.spec})`;
+                break;
+            case 'json':
+                sql = this.compileJsonValue(column.column, column.path);
+                break;
+            default:
+                throw new Error(`Tipo de coluna desconhecido: ${column.type}`);
+        }
+        return column.alias ? `${sql} AS ${this.driver.escapeIdentifier(column.alias)}` : sql;
+    }
+
+    compileFrom(query, bindings) {
+        if (!query.table) return '';
+        return `FROM ${this.compileTableNode(query.table, bindings)}`;
+    }
+
+    // Tabela, subconsulta ou expressão raw usada em FROM/JOIN
+    compileTableNode(node, bindings) {
+        switch (node.type) {
+            case 'table':
+                return this.wrapTable(node.name, node.alias);
+            case 'sub':
+                return `(${this.compileSubquery(node.query, bindings)}) AS ${this.driver.escapeIdentifier(node.alias)}`;
+            case 'raw':
+                bindings.push(...(node.bindings || []));
+                return node.alias ? `${node.sql} AS ${this.driver.escapeIdentifier(node.alias)}` : node.sql;
+            default:
+                throw new Error(`Tipo de tabela desconhecido: ${node.type}`);
+        }
+    }
+
+    compileJoins(query, bindings) {
+        return query.joins.map(join => this.compileJoin(join, bindings)).join(' ');
+    }
+
+    compileJoin(join, bindings) {
+        if (join.lateral) {
+            return this.compileLateralJoin(join, bindings);
+        }
+
+        const table = this.compileTableNode(join.table, bindings);
+
+        if (join.joinType === 'CROSS') {
+            return `CROSS JOIN ${table}`;
+        }
+
+        const condition = join.conditions
+            ? this.compileConditions(join.conditions, bindings)
+            : join.condition;
+        return `${join.joinType} JOIN ${table} ON ${condition}`;
+    }
+
+    // JOIN LATERAL (...) ON TRUE: a subconsulta pode referenciar as tabelas anteriores
+    compileLateralJoin(join, bindings) {
+        const table = this.compileTableNode(join.table, bindings);
+        if (join.joinType === 'CROSS') {
+            return `CROSS JOIN LATERAL ${table}`;
+        }
+        return `${join.joinType} JOIN LATERAL ${table} ON TRUE`;
+    }
+
+    compileWheres(query, bindings) {
+        if (query.wheres.length === 0) return '';
+        return `WHERE ${this.compileConditions(query.wheres, bindings)}`;
+    }
+
+    compileGroups(query, bindings) {
+        if (query.groups.length === 0) return '';
+
+        const groups = query.groups.map(group => {
+            if (group.type === 'raw') {
+                bindings.push(...(group.bindings || []));
+                return group.sql;
+            }
+            return this.wrap(group.column);
+        });
+        return `GROUP BY ${groups.join(', ')}`;
+    }
+
+    compileHavings(query, bindings) {
+        if (query.havings.length === 0) return '';
+        return `HAVING ${this.compileConditions(query.havings, bindings)}`;
+    }
+
+    compileOrders(query, bindings) {
+        if (query.orders.length === 0) return '';
+        return `ORDER BY ${query.orders.map(order => this.compileOrder(order, bindings)).join(', ')}`;
+    }
+
+    compileOrder(order, bindings) {
+        switch (order.type) {
+            case 'raw':
+                bindings.push(...(order.bindings || []));
+                return order.sql;
+            case 'random':
+                return this.driver.getRandomFunction();
+            case 'column': {
+                const sql = `${this.wrap(order.column)} ${order.direction}`;
+                return order.nulls ? this.compileOrderNulls(sql, order.nulls) : sql;
+            }
+            case 'fullText':
+                return `${this.compileFullTextRank(order, bindings)} ${order.direction}`;
+            default:
+                throw new Error(`Tipo de ordenação desconhecido: ${order.type}`);
+        }
+    }
+
+    compileOrderNulls(sql, nulls) {
+        return `${sql} NULLS ${nulls}`;
+    }
+
+    compileLimit(query) {
+        if (query.limitValue === null) return '';
+        return this.driver.getLimitSyntax(query.limitValue, query.offsetValue || 0);
+    }
+
+    // ✅ FOR UPDATE / FOR SHARE [OF ...] [SKIP LOCKED | NOWAIT]
+    compileLock(query) {
+        if (!query.lock) return '';
+
+        const {mode, of, wait} = query.lock;
+        return [
+            mode === 'update' ? 'FOR UPDATE' : 'FOR SHARE',
+            of.length > 0 ? `OF ${of.map(table => this.wrap(table)).join(', ')}` : '',
+            this.compileLockWait(wait)
+        ].filter(Boolean).join(' ');
+    }
+
+    compileLockWait(wait) {
+        if (wait === 'skipLocked') return 'SKIP LOCKED';
+        if (wait === 'noWait') return 'NOWAIT';
+        return '';
+    }
+
+    // ✅ UNION / INTERSECT / EXCEPT seguidos do ORDER BY/LIMIT externo, aplicado ao resultado combinado
+    compileUnions(query, select, bindings) {
+        const hasOwnClauses = query.orders.length > 0 || query.limitValue !== null;
+        const parts = [this.compileCompoundPart(select, hasOwnClauses)];
+
+        query.unions.forEach(union => {
+            this.checkSetOperationSupport(union.operator, union.all);
+
+            const hasClauses = union.query.orders.length > 0 || union.query.limitValue !== null;
+            const sql = this.compileSubquery(union.query, bindings);
+            parts.push(`${union.operator}${union.all ? ' ALL' : ''} ${this.compileCompoundPart(sql, hasClauses, true)}`);
+        });
+
+        if (query.outerOrders.length > 0) {
+            parts.push(`ORDER BY ${query.outerOrders.map(order => this.compileOrder(order, bindings)).join(', ')}`);
+        }
+        if (query.outerLimitValue !== null) {
+            parts.push(this.driver.getLimitSyntax(query.outerLimitValue, query.outerOffsetValue || 0));
+        }
+
+        return parts.join(' ');
+    }
+
+    // Partes com ORDER BY/LIMIT próprios precisam de parênteses para não valerem para o conjunto todo
+    compileCompoundPart(sql, hasClauses, wrap = hasClauses) {
+        return wrap ? `(${sql})` : sql;
+    }
+
+    // INTERSECT/EXCEPT (e as variantes ALL) variam por dialeto e versão
+    checkSetOperationSupport(operator, all) {
+    }
+
+    compileSubquery(query, bindings) {
+        const compiled = this.compileSelect(query);
+        bindings.push(...compiled.bindings);
+        return compiled.sql;
+    }
+
+    // ===============================
+    // ✅ CONDIÇÕES (WHERE / HAVING)
+    // ===============================
+
+    compileConditions(conditions, bindings) {
+        return conditions.map((condition, index) => {
+            let sql = this.compileCondition(condition, bindings);
+            // SQL raw ao lado de outras condições vai entre parênteses: um OR interno não
+            // pode mudar a precedência dos AND vizinhos
+            if (condition.type === 'raw' && conditions.length > 1) sql = `(${sql})`;
+            return index === 0 ? sql : `${condition.boolean} ${sql}`;
+        }).join(' ');
+    }
+
+    // Cada tipo de condição é compilado por condition<Tipo>(), que os dialetos podem sobrescrever
+    compileCondition(condition, bindings) {
+        const method = `condition${condition.type.charAt(0).toUpperCase()}${condition.type.slice(1)}`;
+        if (typeof this[method] !== 'function') {
+            throw new Error(`Tipo de condição desconhecido: ${condition.type}`);
+        }
+        return this[method](condition, bindings);
+    }
+
+    conditionBasic(condition, bindings) {
+        const column = this.compileExpression(condition.column, bindings);
+        return `${column} ${condition.operator} ${this.parameter(condition.value, bindings)}`;
+    }
+
+    // Coluna comparada com coluna (on() do JoinClause)
+    conditionColumn(condition, bindings) {
+        const first = this.compileExpression(condition.first, bindings);
+        return `${first} ${condition.operator} ${this.compileExpression(condition.second, bindings)}`;
+    }
+
+    conditionDate(condition, bindings) {
+        return `${this.compileDatePart(condition.part, condition.column)} ${condition.operator} ${this.parameter(condition.value, bindings)}`;
+    }
+
+    conditionRaw(condition, bindings) {
+        bindings.push(...(condition.bindings || []));
+        return condition.sql;
+    }
+
+    conditionIn(condition, bindings) {
+        const values = condition.values.map(value => this.parameter(value, bindings));
+        return `${this.wrap(condition.column)} ${condition.not ? 'NOT IN' : 'IN'} (${values.join(', ')})`;
+    }
+
+    conditionBetween(condition, bindings) {
+        const [min, max] = condition.values.map(value => this.parameter(value, bindings));
+        return `${this.wrap(condition.column)} ${condition.not ? 'NOT BETWEEN' : 'BETWEEN'} ${min} AND ${max}`;
+    }
+
+    conditionNull(condition) {
+        return `${this.wrap(condition.column)} ${condition.not ? 'IS NOT NULL' : 'IS NULL'}`;
+    }
+
+    conditionNested(condition, bindings) {
+        return `(${this.compileConditions(condition.conditions, bindings)})`;
+    }
+
+    conditionExists(condition, bindings) {
+        return `${condition.not ? 'NOT EXISTS' : 'EXISTS'} (${this.compileSubquery(condition.query, bindings)})`;
+    }
+
+    conditionSub(condition, bindings) {
+        return `${this.wrap(condition.column)} ${condition.operator} (${this.compileSubquery(condition.query, bindings)})`;
+    }
+
+    conditionJson(condition, bindings) {
+        return `${this.compileJsonText(condition.column, condition.path)} ${condition.operator} ${this.parameter(condition.value, bindings)}`;
+    }
+
+    conditionJsonContains(condition, bindings) {
+        return this.compileJsonContains(condition.column, condition.path, condition.value, bindings);
+    }
+
+    conditionJsonLength(condition, bindings) {
+        return `${this.compileJsonLength(condition.column, condition.path)} ${condition.operator} ${this.parameter(condition.value, bindings)}`;
+    }
+
+    conditionFullText(condition, bindings) {
+        return this.compileFullText(condition, bindings);
+    }
+
+    // ===============================
+    // ✅ DATAS
+    // ===============================
+
+    // part: 'date', 'time', 'year', 'month' ou 'day'
+    compileDatePart(part, column) {
+        throw this.unsupported(`filtro por ${part}`);
+    }
+
+    // ===============================
+    // ✅ FULL-TEXT
+    // ===============================
+
+    compileFullText(node, bindings) {
+        throw this.unsupported('busca full-text');
+    }
+
+    // Expressão de relevância usada por orderByRelevance()
+    compileFullTextRank(node, bindings) {
+        throw this.unsupported('busca full-text');
+    }
+
+    // ===============================
+    // ✅ JSON
+    // ===============================
+    // Cada dialeto implementa os operadores; o caminho chega como lista de segmentos
+
+    // Caminho no formato JSONPath usado por MySQL/MariaDB/SQLite: $."address"."city", $."tags"[0]
+    jsonPath(segments) {
+        const path = segments.map(segment => {
+            if (segment.includes('"')) throw new Error(`Chave JSON com aspas duplas não é suportada: ${segment}`);
+            return /^\d+$/.test(segment) ? `[${segment}]` : `."${segment}"`;
+        }).join('');
+        return `'$${path.replace(/'/g, "''")}'`;
+    }
+
+    // Valor JSON no caminho (usado em selectJson)
+    compileJsonValue(column, segments) {
+        throw this.unsupported('consultas JSON');
+    }
+
+    // Valor no caminho como texto/escalar, para comparações
+    compileJsonText(column, segments) {
+        throw this.unsupported('consultas JSON');
+    }
+
+    compileJsonContains(column, segments, value, bindings) {
+        throw this.unsupported('whereJsonContains');
+    }
+
+    compileJsonLength(column, segments) {
+        throw this.unsupported('whereJsonLength');
+    }
+
+    // ===============================
+    // ✅ INSERT / UPDATE / DELETE
+    // ===============================
+
+    compileInsert(query, table, data) {
+        return this.withCteScope(query, () => {
+            const bindings = {cte: [], values: []};
+
+            const sql = [
+                this.compileWriteCtes(query, bindings.cte, 'insert'),
+                this.compileInsertValues(table, [data], bindings.values)
+            ].filter(Boolean).join(' ');
+
+            return {sql: sql + this.compileReturning(query, 'insert'), bindings: Object.values(bindings).flat()};
+        });
+    }
+
+    compileInsertBatch(query, table, rows) {
+        return this.withCteScope(query, () => {
+            const bindings = {cte: [], values: []};
+
+            const sql = [
+                this.compileWriteCtes(query, bindings.cte, 'insert'),
+                this.compileInsertValues(table, rows, bindings.values)
+            ].filter(Boolean).join(' ');
+
+            return {sql: sql + this.compileReturning(query, 'insert'), bindings: Object.values(bindings).flat()};
+        });
+    }
+
+    // INSERT INTO tabela (colunas) VALUES (...), (...)
+    compileInsertValues(table, rows, bindings, keyword = 'INSERT') {
+        const fields = Object.keys(rows[0]);
+        const values = rows.map(row => `(${fields.map(field => this.parameter(row[field], bindings)).join(', ')})`);
+
+        return `${keyword} INTO ${this.wrapTable(table)} (${this.columnize(fields)}) VALUES ${values.join(', ')}`;
+    }
+
+    // ✅ INSERT INTO tabela (colunas) SELECT ...; options.upsert aplica o ON CONFLICT do compileUpsert
+    compileInsertUsing(query, table, columns, source, options = {}) {
+        return this.withCteScope(query, () => {
+            const bindings = {cte: [], select: [], conflict: []};
+            const select = this.compileSubquery(source, bindings.select);
+
+            const sql = [
+                this.compileWriteCtes(query, bindings.cte, 'insert'),
+                `INSERT INTO ${this.wrapTable(table)} (${this.columnize(columns)})`,
+                options.upsert ? this.compileUpsertSource(select) : select,
+                options.upsert ? this.compileOnConflict(columns, options.conflictColumns, options, bindings.conflict) : ''
+            ].filter(Boolean).join(' ');
+
+            return {sql: sql + this.compileReturning(query, 'insert'), bindings: Object.values(bindings).flat()};
+        });
+    }
+
+    // SELECT de origem de um INSERT ... SELECT com tratamento de conflito
+    compileUpsertSource(select) {
+        return select;
+    }
+
+    // ✅ INSERT ... ON CONFLICT (PostgreSQL e SQLite 3.24+; o MySQL sobrescreve)
+    compileUpsert(query, table, rows, conflictColumns, options = {}) {
+        const bindings = [];
+        const sql = [
+            this.compileInsertValues(table, rows, bindings),
+            this.compileOnConflict(Object.keys(rows[0]), conflictColumns, options, bindings)
+        ].join(' ');
+
+        return {sql: sql + this.compileReturning(query, 'insert'), bindings};
+    }
+
+    // ON CONFLICT (...) DO UPDATE SET ... | DO NOTHING
+    compileOnConflict(fields, conflictColumns, options, bindings) {
+        if (!options.constraint && (!Array.isArray(conflictColumns) || conflictColumns.length === 0)) {
+            throw new Error('conflictColumns (ou a opção constraint) é obrigatório para PostgreSQL/SQLite');
+        }
+
+        const updates = this.compileUpsertUpdates(fields, conflictColumns, options.update,
+            field => `EXCLUDED.${this.wrap(field)}`, bindings);
+
+        const action = updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+        return `${this.compileConflictTarget(conflictColumns, options)} ${action}`;
+    }
+
+    compileConflictTarget(conflictColumns, options) {
+        if (options.constraint) {
+            return `ON CONFLICT ON CONSTRAINT ${this.driver.escapeIdentifier(options.constraint)}`;
+        }
+
+        const where = options.conflictWhere ? ` WHERE ${options.conflictWhere}` : '';
+        return `ON CONFLICT (${this.columnize(conflictColumns)})${where}`;
+    }
+
+    // SET do upsert: lista de colunas (padrão: todas menos as do conflito) recebendo o valor
+    // que seria inserido, ou mapa { coluna: 'expressão SQL' | db.raw(...) } usado como está
+    compileUpsertUpdates(fields, conflictColumns, update, incoming, bindings) {
+        if (update && !Array.isArray(update)) {
+            return Object.entries(update).map(([column, expression]) =>
+                `${this.wrap(column)} = ${expression instanceof Raw ? this.parameter(expression, bindings) : expression}`
+            );
+        }
+
+        const columns = update || fields.filter(field => !(conflictColumns || []).includes(field));
+        return columns.map(column => `${this.wrap(column)} = ${incoming(column)}`);
+    }
+
+    compileReplace(query, table, data) {
+        throw new Error('REPLACE só é suportado no MySQL/MariaDB/SQLite');
+    }
+
+    // table: nó {type: 'table', name, alias}
+    compileUpdate(query, table, data) {
+        return this.withCteScope(query, () => {
+            if (query.joins.length > 0) {
+                return this.compileUpdateWithJoins(query, table, data);
+            }
+
+            const bindings = {cte: [], set: [], where: []};
+
+            const sets = Object.entries(data).map(([field, value]) =>
+                `${this.wrap(field)} = ${this.parameter(value, bindings.set)}`
+            );
+
+            const sql = [
+                this.compileWriteCtes(query, bindings.cte, 'update'),
+                `UPDATE ${this.wrapTable(table.name, table.alias)} SET ${sets.join(', ')}`,
+                this.compileWheres(query, bindings.where)
+            ].filter(Boolean).join(' ');
+
+            return {sql: sql + this.compileReturning(query, 'update'), bindings: Object.values(bindings).flat()};
+        });
+    }
+
+    // ✅ UPDATE alvo SET ... FROM tabela [JOINs] WHERE condição do primeiro JOIN AND ...
+    compileUpdateWithJoins(query, table, data) {
+        const bindings = {cte: [], set: [], from: [], where: []};
+
+        // O SET não aceita coluna qualificada com a tabela alvo
+        const target = `${table.alias || table.name}.`;
+        const sets = Object.entries(data).map(([field, value]) => {
+            const column = field.startsWith(target) ? field.slice(target.length) : field;
+            return `${this.wrap(column)} = ${this.parameter(value, bindings.set)}`;
+        });
+
+        const sql = [
+            this.compileWriteCtes(query, bindings.cte, 'update'),
+            `UPDATE ${this.wrapTable(table.name, table.alias)} SET ${sets.join(', ')}`,
+            this.compileJoinedTables(query, 'FROM', bindings.from),
+            this.compileJoinedWheres(query, bindings.where)
+        ].filter(Boolean).join(' ');
+
+        return {sql: sql + this.compileReturning(query, 'update'), bindings: Object.values(bindings).flat()};
+    }
+
+    // O primeiro JOIN vira a tabela do FROM/USING; os demais continuam como JOIN
+    compileJoinedTables(query, keyword, bindings) {
+        const [first, ...rest] = query.joins;
+        if (first.lateral || !['INNER', 'CROSS'].includes(first.joinType)) {
+            throw this.unsupported(`${first.joinType} JOIN${first.lateral ? ' LATERAL' : ''} como primeiro JOIN de UPDATE/DELETE (use INNER)`);
+        }
+
+        return [
+            `${keyword} ${this.compileTableNode(first.table, bindings)}`,
+            ...rest.map(join => this.compileJoin(join, bindings))
+        ].join(' ');
+    }
+
+    // A condição do primeiro JOIN passa para o WHERE, antes dos filtros da query
+    compileJoinedWheres(query, bindings) {
+        const [first] = query.joins;
+        const conditions = [];
+
+        if (first.joinType !== 'CROSS') {
+            conditions.push(first.conditions
+                ? {type: 'nested', boolean: 'AND', conditions: first.conditions}
+                : {type: 'raw', boolean: 'AND', sql: first.condition});
+        }
+
+        if (query.wheres.some(where => where.boolean === 'OR')) {
+            conditions.push({type: 'nested', boolean: 'AND', conditions: query.wheres});
+        } else {
+            conditions.push(...query.wheres.map(where => ({...where, boolean: 'AND'})));
+        }
+
+        return conditions.length > 0 ? `WHERE ${this.compileConditions(conditions, bindings)}` : '';
+    }
+
+    compileIncrement(query, table, field, amount) {
+        const bindings = {set: [amount], where: []};
+        const column = this.wrap(field);
+
+        const sql = [
+            `UPDATE ${this.wrapTable(table)} SET ${column} = ${column} + ?`,
+            this.compileWheres(query, bindings.where)
+        ].filter(Boolean).join(' ');
+
+        return {sql, bindings: Object.values(bindings).flat()};
+    }
+
+    compileDelete(query) {
+        return this.withCteScope(query, () => {
+            if (query.joins.length > 0) {
+                return this.compileDeleteWithJoins(query);
+            }
+
+            const bindings = {cte: [], from: [], where: []};
+
+            const sql = [
+                this.compileWriteCtes(query, bindings.cte, 'delete'),
+                `DELETE FROM ${this.compileTableNode(query.table, bindings.from)}`,
+                this.compileWheres(query, bindings.where)
+            ].filter(Boolean).join(' ');
+
+            return {sql: sql + this.compileReturning(query, 'delete'), bindings: Object.values(bindings).flat()};
+        });
+    }
+
+    // ✅ DELETE FROM alvo USING tabela [JOINs] WHERE condição do primeiro JOIN AND ...
+    compileDeleteWithJoins(query) {
+        const bindings = {cte: [], from: [], using: [], where: []};
+
+        const sql = [
+            this.compileWriteCtes(query, bindings.cte, 'delete'),
+            `DELETE FROM ${this.compileTableNode(query.table, bindings.from)}`,
+            this.compileJoinedTables(query, 'USING', bindings.using),
+            this.compileJoinedWheres(query, bindings.where)
+        ].filter(Boolean).join(' ');
+
+        return {sql: sql + this.compileReturning(query, 'delete'), bindings: Object.values(bindings).flat()};
+    }
+
+    compileTruncate(table) {
+        return {sql: `TRUNCATE TABLE ${this.wrapTable(table)}`, bindings: []};
+    }
+
+    // ✅ RETURNING com as colunas de returning() (false desativa)
+    compileReturning(query, statement) {
+        const columns = this.returningColumns(query);
+        if (!columns || !this.supportsReturning(statement, query)) return '';
+
+        return ` RETURNING ${columns.map(column => column === '*' ? '*' : this.wrap(column)).join(', ')}`;
+    }
+
+    // Colunas do RETURNING quando returning() não foi chamado: nenhuma (o PostgreSQL usa *)
+    returningColumns(query) {
+        return Array.isArray(query.returningColumns) ? query.returningColumns : null;
+    }
+
+    // Padrão: RETURNING nativo em INSERT, UPDATE e DELETE (PostgreSQL; SQLite 3.35+).
+    // Dialetos sem RETURNING devolvem false e o QueryBuilder emula returning()
+    supportsReturning(statement, query) {
+        return true;
+    }
+}
+
+export default Compiler;
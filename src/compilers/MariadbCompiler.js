@@ -0,0 +1,66 @@
+import MySQLCompiler from './MySQLCompiler.js';
+
+// MariaDB segue a sintaxe do MySQL; diferenças entre os dois ficam aqui
+class MariadbCompiler extends MySQLCompiler {
+    // ✅ CTEs (inclusive recursivas) a partir do MariaDB 10.2.2
+    checkCteSupport() {
+        if (!this.serverVersionAtLeast('10.2.2')) {
+            throw this.unsupported('CTE (WITH)', 'MariaDB 10.2.2+');
+        }
+    }
+
+    // MariaDB aceita WITH apenas em SELECT
+    compileWriteCtes(query, bindings, statement) {
+        if (query.ctes.length > 0) {
+            throw this.unsupported(`CTE antes de ${statement.toUpperCase()}`);
+        }
+        return '';
+    }
+
+    // ✅ INTERSECT/EXCEPT no MariaDB 10.3+; as variantes ALL só no 10.5+
+    checkSetOperationSupport(operator, all) {
+        if (operator === 'UNION') return;
+
+        if (all && !this.serverVersionAtLeast('10.5')) {
+            throw this.unsupported(`${operator} ALL`, 'MariaDB 10.5+');
+        }
+        if (!this.serverVersionAtLeast('10.3')) {
+            throw this.unsupported(operator, 'MariaDB 10.3+');
+        }
+    }
+
+    // ✅ FOR UPDATE / LOCK IN SHARE MODE; NOWAIT no 10.3+ e SKIP LOCKED no 10.6+, sem OF
+    compileLock(query) {
+        if (!query.lock) return '';
+
+        const {mode, of, wait} = query.lock;
+        if (of.length > 0) throw this.unsupported('lock com OF');
+        if (wait === 'noWait' && !this.serverVersionAtLeast('10.3')) throw this.unsupported('NOWAIT', 'MariaDB 10.3+');
+        if (wait === 'skipLocked' && !this.serverVersionAtLeast('10.6')) throw this.unsupported('SKIP LOCKED', 'MariaDB 10.6+');
+
+        return [mode === 'update' ? 'FOR UPDATE' : 'LOCK IN SHARE MODE', this.compileLockWait(wait)].filter(Boolean).join(' ');
+    }
+
+    // ✅ RETURNING em INSERT no 10.5+ e em DELETE de uma tabela; UPDATE não tem RETURNING
+    supportsReturning(statement, query) {
+        if (statement === 'insert') return this.serverVersionAtLeast('10.5');
+        if (statement === 'delete') return query.joins.length === 0;
+        return false;
+    }
+
+    checkInsertSelectCtes() {
+        throw this.unsupported('CTE antes de INSERT');
+    }
+
+    // MariaDB não tem alias de linha no INSERT: os valores novos vêm de VALUES(coluna)
+    supportsUpsertAlias() {
+        return false;
+    }
+
+    // MariaDB não implementa LATERAL (nem CROSS/OUTER APPLY)
+    compileLateralJoin(join, bindings) {
+        throw this.unsupported('JOIN LATERAL');
+    }
+}
+
+export default MariadbCompiler;
@@ -0,0 +1,230 @@
+import Compiler from './Compiler.js';
+import Raw from '../Raw.js';
+
+class MySQLCompiler extends Compiler {
+    // MySQL não suporta NULLS FIRST/LAST: mantém apenas a direção
+    compileOrderNulls(sql) {
+        return sql;
+    }
+
+    // ✅ CTEs a partir do MySQL 8.0
+    checkCteSupport() {
+        if (!this.serverVersionAtLeast('8.0')) {
+            throw this.unsupported('CTE (WITH)', 'MySQL 8.0+');
+        }
+    }
+
+    // O MySQL aceita WITH antes de UPDATE/DELETE; no INSERT só dentro de INSERT ... SELECT
+    compileWriteCtes(query, bindings, statement) {
+        if (statement === 'insert' && query.ctes.length > 0) {
+            throw this.unsupported('CTE antes de INSERT ... VALUES');
+        }
+        return super.compileWriteCtes(query, bindings, statement);
+    }
+
+    // ✅ JOIN LATERAL (MySQL 8.0.14+)
+    compileLateralJoin(join, bindings) {
+        if (!this.serverVersionAtLeast('8.0.14')) {
+            throw this.unsupported('JOIN LATERAL', 'MySQL 8.0.14+');
+        }
+        return super.compileLateralJoin(join, bindings);
+    }
+
+    // ✅ INTERSECT e EXCEPT (inclusive ALL) a partir do MySQL 8.0.31
+    checkSetOperationSupport(operator) {
+        if (operator !== 'UNION' && !this.serverVersionAtLeast('8.0.31')) {
+            throw this.unsupported(operator, 'MySQL 8.0.31+');
+        }
+    }
+
+    // ✅ FOR SHARE, OF, SKIP LOCKED e NOWAIT a partir do MySQL 8.0; antes, apenas FOR UPDATE e LOCK IN SHARE MODE
+    compileLock(query) {
+        if (!query.lock || this.serverVersionAtLeast('8.0')) return super.compileLock(query);
+
+        const {mode, of, wait} = query.lock;
+        if (of.length > 0) throw this.unsupported(`${mode === 'update' ? 'FOR UPDATE' : 'FOR SHARE'} OF`, 'MySQL 8.0+');
+        if (wait) throw this.unsupported(this.compileLockWait(wait), 'MySQL 8.0+');
+
+        return mode === 'update' ? 'FOR UPDATE' : 'LOCK IN SHARE MODE';
+    }
+
+    // ✅ UPDATE alvo JOIN ... SET ... WHERE ...
+    compileUpdateWithJoins(query, table, data) {
+        const bindings = {cte: [], join: [], set: [], where: []};
+
+        const joins = this.compileJoins(query, bindings.join);
+        const sets = Object.entries(data).map(([field, value]) =>
+            `${this.wrap(field)} = ${this.parameter(value, bindings.set)}`
+        );
+
+        const sql = [
+            this.compileWriteCtes(query, bindings.cte, 'update'),
+            `UPDATE ${this.wrapTable(table.name, table.alias)} ${joins} SET ${sets.join(', ')}`,
+            this.compileWheres(query, bindings.where)
+        ].filter(Boolean).join(' ');
+
+        return {sql, bindings: Object.values(bindings).flat()};
+    }
+
+    // ✅ DELETE alvo FROM alvo JOIN ... WHERE ... (apaga apenas da tabela alvo)
+    compileDeleteWithJoins(query) {
+        const bindings = {cte: [], from: [], join: [], where: []};
+        const target = query.table.alias || query.table.name;
+
+        const sql = [
+            this.compileWriteCtes(query, bindings.cte, 'delete'),
+            `DELETE ${this.wrap(target)} FROM ${this.compileTableNode(query.table, bindings.from)}`,
+            this.compileJoins(query, bindings.join),
+            this.compileWheres(query, bindings.where)
+        ].filter(Boolean).join(' ');
+
+        return {sql, bindings: Object.values(bindings).flat()};
+    }
+
+    // ✅ DATE(), TIME(), YEAR(), MONTH(), DAY()
+    compileDatePart(part, column) {
+        return `${part.toUpperCase()}(${this.wrap(column)})`;
+    }
+
+    // ✅ MATCH ... AGAINST (requer índice FULLTEXT nas colunas)
+    compileFullText(node, bindings) {
+        const mode = node.mode === 'boolean' ? 'IN BOOLEAN MODE' : 'IN NATURAL LANGUAGE MODE';
+        bindings.push(node.term);
+        return `MATCH (${this.columnize(node.columns)}) AGAINST (? ${mode})`;
+    }
+
+    // O próprio MATCH devolve a relevância
+    compileFullTextRank(node, bindings) {
+        return this.compileFullText(node, bindings);
+    }
+
+    // ✅ JSON: JSON_EXTRACT / JSON_CONTAINS / JSON_LENGTH (MySQL 5.7+, MariaDB 10.2+)
+    compileJsonValue(column, segments) {
+        if (segments.length === 0) return this.wrap(column);
+        return `JSON_EXTRACT(${this.wrap(column)}, ${this.jsonPath(segments)})`;
+    }
+
+    compileJsonText(column, segments) {
+        return `JSON_UNQUOTE(${this.compileJsonValue(column, segments)})`;
+    }
+
+    // Booleanos são comparados como JSON: o texto 'true' não é igual ao parâmetro 1 enviado pelo driver
+    conditionJson(condition, bindings) {
+        if (typeof condition.value === 'boolean') {
+            return `${this.compileJsonValue(condition.column, condition.path)} ${condition.operator} ${condition.value}`;
+        }
+        return super.conditionJson(condition, bindings);
+    }
+
+    compileJsonContains(column, segments, value, bindings) {
+        bindings.push(JSON.stringify(value));
+        const path = segments.length > 0 ? `, ${this.jsonPath(segments)}` : '';
+        return `JSON_CONTAINS(${this.wrap(column)}, ?${path})`;
+    }
+
+    compileJsonLength(column, segments) {
+        const path = segments.length > 0 ? `, ${this.jsonPath(segments)}` : '';
+        return `JSON_LENGTH(${this.wrap(column)}${path})`;
+    }
+
+    // ✅ INSERT ... ON DUPLICATE KEY UPDATE
+    // ✅ ON DUPLICATE KEY UPDATE: o conflito é resolvido pelas chaves únicas da tabela, então
+    // conflictColumns só serve para tirar essas colunas do SET. No MySQL 8.0.19+ os valores novos
+    // vêm do alias de linha "excluded" (VALUES() está obsoleto)
+    compileUpsert(query, table, rows, conflictColumns = null, options = {}) {
+        if (options.constraint || options.conflictWhere) {
+            throw this.unsupported('alvo de conflito com ON CONSTRAINT ou WHERE');
+        }
+
+        const bindings = [];
+        const fields = Object.keys(rows[0]);
+        const rowAlias = this.supportsUpsertAlias() ? this.driver.escapeIdentifier('excluded') : null;
+
+        const sql = [
+            this.compileInsertValues(table, rows, bindings),
+            rowAlias ? `AS ${rowAlias}` : '',
+            this.compileOnDuplicateKey(fields, conflictColumns, options, rowAlias, bindings)
+        ].filter(Boolean).join(' ');
+
+        return {sql: sql + this.compileReturning(query, 'insert'), bindings};
+    }
+
+    compileOnDuplicateKey(fields, conflictColumns, options, rowAlias, bindings) {
+        const update = rowAlias ? options.update : this.excludedToValues(options.update);
+        let updates = this.compileUpsertUpdates(fields, conflictColumns, update,
+            field => rowAlias ? `${rowAlias}.${this.wrap(field)}` : `VALUES(${this.wrap(field)})`, bindings);
+
+        // Sem colunas a atualizar, equivale ao DO NOTHING
+        if (updates.length === 0) {
+            updates = [`${this.wrap(fields[0])} = ${this.wrap(fields[0])}`];
+        }
+
+        return `ON DUPLICATE KEY UPDATE ${updates.join(', ')}`;
+    }
+
+    // Sem o alias de linha, excluded.coluna nas expressões do mapa update vira VALUES(coluna):
+    // { total: 'pedidos.total + excluded.total' } funciona em qualquer versão do MySQL/MariaDB
+    excludedToValues(update) {
+        if (!update || Array.isArray(update)) return update;
+
+        const translate = sql => sql.replace(/(?<![\w.`"])[`"]?excluded[`"]?\.(`(?:[^`]|``)+`|\w+)/gi,
+            (match, column) => `VALUES(${column.startsWith('`') ? column : this.wrap(column)})`);
+
+        return Object.fromEntries(Object.entries(update).map(([column, expression]) => [
+            column,
+            expression instanceof Raw ? new Raw(translate(expression.sql), expression.bindings) : translate(String(expression))
+        ]));
+    }
+
+    // ✅ INSERT INTO t (colunas) [WITH ...] SELECT ...: no MySQL as CTEs ficam entre a lista de
+    // colunas e o SELECT. No upsert 8.0.19+ o SELECT vira a tabela derivada "excluded" (colunas)
+    compileInsertUsing(query, table, columns, source, options = {}) {
+        if (options.upsert && (options.constraint || options.conflictWhere)) {
+            throw this.unsupported('alvo de conflito com ON CONSTRAINT ou WHERE');
+        }
+
+        return this.withCteScope(query, () => {
+            const bindings = {cte: [], select: [], conflict: []};
+            if (query.ctes.length > 0) this.checkInsertSelectCtes();
+
+            const ctes = this.compileCtes(query, bindings.cte);
+            const rowAlias = options.upsert && this.supportsUpsertAlias() ? this.driver.escapeIdentifier('excluded') : null;
+
+            let select = this.compileSubquery(source, bindings.select);
+            if (rowAlias) {
+                select = `SELECT * FROM (${select}) AS ${rowAlias} (${this.columnize(columns)})`;
+            }
+
+            const sql = [
+                `INSERT INTO ${this.wrapTable(table)} (${this.columnize(columns)})`,
+                ctes,
+                select,
+                options.upsert ? this.compileOnDuplicateKey(columns, options.conflictColumns, options, rowAlias, bindings.conflict) : ''
+            ].filter(Boolean).join(' ');
+
+            return {sql: sql + this.compileReturning(query, 'insert'), bindings: Object.values(bindings).flat()};
+        });
+    }
+
+    // MySQL 8.0+ aceita WITH dentro do INSERT ... SELECT
+    checkInsertSelectCtes() {
+    }
+
+    // MySQL não tem RETURNING: o QueryBuilder emula returning() relendo as linhas pela chave primária
+    supportsReturning() {
+        return false;
+    }
+
+    // Só com serverVersion configurada: o alias é erro de sintaxe no 5.7 e no 8.0 < 8.0.19,
+    // enquanto VALUES() funciona em todas as versões (obsoleto, mas aceito no 8.0)
+    supportsUpsertAlias() {
+        return Boolean(this.config.serverVersion) && this.serverVersionAtLeast('8.0.19');
+    }
+
+    compileReplace(query, table, data) {
+        const bindings = [];
+        return {sql: this.compileInsertValues(table, [data], bindings, 'REPLACE'), bindings};
+    }
+}
+
+export default MySQLCompiler;
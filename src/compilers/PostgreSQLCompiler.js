@@ -0,0 +1,87 @@
+import Compiler from './Compiler.js';
+
+class PostgreSQLCompiler extends Compiler {
+    // ✅ Tabelas sem schema recebem o schema da configuração (padrão: public) em todos os comandos
+    // (FROM, JOIN, INSERT, UPDATE, DELETE, upsert, TRUNCATE), exceto nomes de CTEs visíveis na query
+    wrapTable(name, alias = null) {
+        if (!String(name).includes('.') && !this.cteNames.includes(name)) {
+            const schema = this.config.schema || this.driver.schema || 'public';
+            return super.wrapTable(`${schema}.${name}`, alias);
+        }
+        return super.wrapTable(name, alias);
+    }
+
+    compileTruncate(table) {
+        return {sql: `TRUNCATE TABLE ${this.wrapTable(table)} RESTART IDENTITY CASCADE`, bindings: []};
+    }
+
+    // ✅ "coluna"::date / ::time e EXTRACT(YEAR|MONTH|DAY FROM "coluna")
+    compileDatePart(part, column) {
+        if (part === 'date' || part === 'time') {
+            return `${this.wrap(column)}::${part}`;
+        }
+        return `EXTRACT(${part.toUpperCase()} FROM ${this.wrap(column)})`;
+    }
+
+    // ✅ Full-text: to_tsvector(...) @@ websearch_to_tsquery(...)
+    // No modo 'boolean' o termo usa a sintaxe de to_tsquery ('rede & !social')
+    compileFullText(node, bindings) {
+        const vector = this.compileTsVector(node);
+        const sql = `${node.columns.length > 1 ? `(${vector})` : vector} @@ ${this.compileTsQuery(node)}`;
+        bindings.push(node.term);
+        return sql;
+    }
+
+    compileFullTextRank(node, bindings) {
+        bindings.push(node.term);
+        return `ts_rank(${this.compileTsVector(node)}, ${this.compileTsQuery(node)})`;
+    }
+
+    compileTsVector(node) {
+        const language = this.literal(node.language);
+        return node.columns.map(column => `to_tsvector(${language}, ${this.wrap(column)})`).join(' || ');
+    }
+
+    compileTsQuery(node) {
+        const fn = node.mode === 'boolean' ? 'to_tsquery' : 'websearch_to_tsquery';
+        return `${fn}(${this.literal(node.language)}, ?)`;
+    }
+
+    literal(value) {
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+
+    // ✅ JSON/JSONB: "meta"->'address'->>'city'
+    compileJsonValue(column, segments) {
+        return this.wrap(column) + segments.map(segment => `->${this.jsonKey(segment)}`).join('');
+    }
+
+    compileJsonText(column, segments) {
+        if (segments.length === 0) return `${this.wrap(column)}#>>'{}'`;
+
+        const last = segments[segments.length - 1];
+        return `${this.compileJsonValue(column, segments.slice(0, -1))}->>${this.jsonKey(last)}`;
+    }
+
+    // O cast para jsonb permite usar @> também em colunas json
+    compileJsonContains(column, segments, value, bindings) {
+        bindings.push(JSON.stringify(value));
+        return `(${this.compileJsonValue(column, segments)})::jsonb @> ?::jsonb`;
+    }
+
+    compileJsonLength(column, segments) {
+        return `jsonb_array_length((${this.compileJsonValue(column, segments)})::jsonb)`;
+    }
+
+    // Índice de array sem aspas, chave como literal
+    jsonKey(segment) {
+        return /^\d+$/.test(segment) ? segment : this.literal(segment);
+    }
+
+    // ✅ RETURNING * em INSERT, UPDATE e DELETE, a menos que returning() defina as colunas (ou false)
+    returningColumns(query) {
+        return query.returningColumns === null ? ['*'] : super.returningColumns(query);
+    }
+}
+
+export default PostgreSQLCompiler;
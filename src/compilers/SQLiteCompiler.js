@@ -0,0 +1,104 @@
+import Compiler from './Compiler.js';
+
+class SQLiteCompiler extends Compiler {
+    // SQLITE_MAX_VARIABLE_NUMBER padrão desde o SQLite 3.32
+    get maxBindings() {
+        return 32766;
+    }
+
+    compileReplace(query, table, data) {
+        const bindings = [];
+        return {sql: this.compileInsertValues(table, [data], bindings, 'REPLACE'), bindings};
+    }
+
+    compileLateralJoin(join, bindings) {
+        throw this.unsupported('JOIN LATERAL');
+    }
+
+    // UPDATE ... FROM existe (3.33+), mas o DELETE não aceita outras tabelas
+    compileDeleteWithJoins() {
+        throw this.unsupported('DELETE com JOIN (use whereExists ou whereIn com subconsulta)');
+    }
+
+    // Sem WHERE, o ON do ON CONFLICT seria lido como condição de JOIN do SELECT
+    compileUpsertSource(select) {
+        return `SELECT * FROM (${select}) WHERE true`;
+    }
+
+    // O alvo do ON CONFLICT é sempre uma lista de colunas (com WHERE opcional)
+    compileConflictTarget(conflictColumns, options) {
+        if (options.constraint) throw this.unsupported('ON CONFLICT ON CONSTRAINT');
+        return super.compileConflictTarget(conflictColumns, options);
+    }
+
+    // SQLite não tem lock por linha: a transação de escrita bloqueia o banco inteiro
+    compileLock() {
+        return '';
+    }
+
+    // SQLite não aceita parênteses nem ORDER BY/LIMIT nas partes de um SELECT composto
+    compileCompoundPart(sql, hasClauses) {
+        if (hasClauses) {
+            throw this.unsupported('ORDER BY/LIMIT dentro de UNION, INTERSECT ou EXCEPT (use outerOrderBy/outerLimit)');
+        }
+        return sql;
+    }
+
+    // INTERSECT e EXCEPT existem, mas sem a variante ALL
+    checkSetOperationSupport(operator, all) {
+        if (all && operator !== 'UNION') {
+            throw this.unsupported(`${operator} ALL`);
+        }
+    }
+
+    // ✅ date()/time() e strftime() convertido para inteiro (datas guardadas como texto ISO)
+    compileDatePart(part, column) {
+        if (part === 'date' || part === 'time') {
+            return `${part}(${this.wrap(column)})`;
+        }
+
+        const formats = {year: '%Y', month: '%m', day: '%d'};
+        return `CAST(strftime('${formats[part]}', ${this.wrap(column)}) AS INTEGER)`;
+    }
+
+    // ✅ JSON via funções json_* (JSON1, embutido no SQLite 3.38+)
+    compileJsonValue(column, segments) {
+        if (segments.length === 0) return this.wrap(column);
+        return `json_extract(${this.wrap(column)}, ${this.jsonPath(segments)})`;
+    }
+
+    // json_extract já devolve escalares sem aspas
+    compileJsonText(column, segments) {
+        return this.compileJsonValue(column, segments);
+    }
+
+    // Sem operador de contenção: cada valor escalar precisa existir em json_each()
+    compileJsonContains(column, segments, value, bindings) {
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length === 0 || values.some(item => item !== null && typeof item === 'object')) {
+            throw new Error('whereJsonContains no SQLite aceita apenas valores escalares ou arrays de escalares');
+        }
+
+        const source = segments.length > 0
+            ? `json_each(${this.wrap(column)}, ${this.jsonPath(segments)})`
+            : `json_each(${this.wrap(column)})`;
+
+        const conditions = values.map(item => {
+            bindings.push(item);
+            return `EXISTS (SELECT 1 FROM ${source} WHERE json_each.value = ?)`;
+        });
+        return conditions.length > 1 ? `(${conditions.join(' AND ')})` : conditions[0];
+    }
+
+    compileJsonLength(column, segments) {
+        const path = segments.length > 0 ? `, ${this.jsonPath(segments)}` : '';
+        return `json_array_length(${this.wrap(column)}${path})`;
+    }
+
+    // SQLite não possui TRUNCATE; DELETE sem WHERE usa a otimização "truncate"
+    compileTruncate(table) {
+        return {sql: `DELETE FROM ${this.wrapTable(table)}`, bindings: []};
+    }
+}
+
+export default SQLiteCompiler;
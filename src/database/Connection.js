@@ -1,6 +1,7 @@
 import mysql from 'mysql2/promise';
 import mariadb from 'mariadb';
 import pg from 'pg';
+import MockConnection from './MockConnection.js';
 
 class Connection {
     constructor(config) {
@@ -9,6 +10,7 @@ class Connection {
         this.pool = null; // Pool de conexões
         this.isConnected = false;
         this.connectionId = null;
+        this.eventHandlers = new Map();
 
         this.maxRetries = 3
         this.retryDelay = 1000;
@@ -119,11 +121,46 @@ class Connection {
         }
     }
 
+    // ✅ Conexão SQLite (arquivo ou :memory:)
+    // better-sqlite3 é dependência opcional (nativa): carregada só quando o driver é usado
+    async _connectSQLite() {
+        let SQLite;
+        try {
+            ({default: SQLite} = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error('O driver SQLite requer o pacote better-sqlite3: npm install better-sqlite3');
+        }
+
+        try {
+            this.connection = new SQLite(this.config.database || ':memory:', {
+                readonly: Boolean(this.config.readonly),
+                fileMustExist: Boolean(this.config.fileMustExist),
+                timeout: this.config.connectionTimeoutMillis || 5000
+            });
+            this.connectionId = this._generateConnectionId();
+            this.isConnected = true;
+        } catch (error) {
+            this.isConnected = false;
+            this.connectionId = null;
+            throw error;
+        }
+    }
+
+    // ✅ Conexão mock (testes): registra as queries em vez de executá-las
+    async _connectMock() {
+        this.connection = new MockConnection(this.config);
+        this.connectionId = this._generateConnectionId();
+        this.isConnected = true;
+    }
+
     async disconnect() {
         try {
             if (this.pool) {
                 await this.pool.end();
                 this.pool = null;
+            } else if (this.config.driver === 'sqlite') {
+                this.connection.close();
+                this.connection = null;
             } else {
                 await this.connection.end();
                 await this.connection.end();
@@ -218,6 +255,12 @@ class Connection {
             case 'postgres':
                 await this._connectPostgreSQL();
                 break;
+            case 'sqlite':
+                await this._connectSQLite();
+                break;
+            case 'mock':
+                await this._connectMock();
+                break;
             default:
                 throw new Error(`Driver não suportado: ${this.config.driver}`);
         }
@@ -0,0 +1,68 @@
+// Conexão falsa usada pelo driver 'mock': não executa nada, apenas registra
+// cada (sql, params) recebido e devolve os resultados cadastrados com stub().
+class MockConnection {
+    constructor(config = {}) {
+        this.config = config;
+        this.queries = [];
+        this.stubs = [];
+        this.isConnected = true;
+    }
+
+    // ✅ Cadastrar resultado para queries que casarem com o padrão
+    // pattern: string (trecho do SQL), RegExp ou função (sql, params) => boolean
+    // result: valor, função (sql, params) => valor ou Error (a query falha com ele)
+    stub(pattern, result = []) {
+        this.stubs.push({pattern, result});
+        return this;
+    }
+
+    async execute(sql, params = []) {
+        if (!this.isConnected) throw new Error('Conexão mock encerrada');
+
+        this.queries.push({sql, params: [...params]});
+
+        // O stub mais recente tem prioridade, permitindo sobrescrever um padrão em cada teste
+        const stub = [...this.stubs].reverse().find(({pattern}) => this._matches(pattern, sql, params));
+        if (!stub) return [];
+
+        const result = typeof stub.result === 'function' ? await stub.result(sql, params) : stub.result;
+        if (result instanceof Error) throw result;
+        return result;
+    }
+
+    getQueries() {
+        return this.queries;
+    }
+
+    getLastQuery() {
+        return this.queries.length > 0 ? this.queries[this.queries.length - 1] : null;
+    }
+
+    // Limpa apenas as queries registradas
+    clear() {
+        this.queries = [];
+        return this;
+    }
+
+    // Limpa queries e stubs
+    reset() {
+        this.queries = [];
+        this.stubs = [];
+        return this;
+    }
+
+    async end() {
+        this.isConnected = false;
+    }
+
+    _matches(pattern, sql, params) {
+        if (pattern instanceof RegExp) {
+            pattern.lastIndex = 0; // RegExp com flag g guarda estado entre chamadas
+            return pattern.test(sql);
+        }
+        if (typeof pattern === 'function') return Boolean(pattern(sql, params));
+        return sql.includes(pattern);
+    }
+}
+
+export default MockConnection;
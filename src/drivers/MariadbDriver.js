@@ -1,7 +1,10 @@
+import {PassThrough} from 'stream';
+
 class MariaDBDriver {
     constructor(connection, config = {}) {
         this.connection = connection;
         this.config = config;
+        this.dialect = 'mariadb';
         this.isPool = !!config.max;
         this.DEBUG = config.debug || false;
     }
@@ -60,6 +63,54 @@ class MariaDBDriver {
         }
     }
 
+    // ✅ Resultado normalizado: { affectedRows, insertId, rows, changedRows }
+    // O OkPacket traz insertId como BigInt e não separa linhas encontradas de alteradas
+    async run(sql, params = []) {
+        const result = await this.execute(sql, params);
+        if (Array.isArray(result)) {
+            return {affectedRows: result.length, insertId: null, rows: [...result], changedRows: result.length};
+        }
+
+        const affectedRows = Number(result.affectedRows);
+        const insertId = Number.isSafeInteger(Number(result.insertId)) ? Number(result.insertId) : result.insertId;
+        return {affectedRows, insertId: insertId || null, rows: [], changedRows: affectedRows};
+    }
+
+    // ✅ Executa o callback com um driver preso a uma única conexão (a do pool é devolvida no fim)
+    async session(callback) {
+        if (!this.isPool) return callback(this);
+
+        const connection = await this.connection.getConnection();
+        try {
+            return await callback(Object.assign(Object.create(this), {connection, isPool: false}));
+        } finally {
+            await connection.release();
+        }
+    }
+
+    // ✅ Streaming com queryStream(): o socket é pausado enquanto o consumidor não lê
+    async *stream(sql, params = [], options = {}) {
+        const connection = this.isPool ? await this.connection.getConnection() : this.connection;
+        const rows = connection.queryStream(sql, params);
+
+        // queryStream() não aceita highWaterMark: o PassThrough acumula até batchSize linhas
+        // à frente do consumidor e só então pausa o stream do driver (e, com ele, o socket)
+        const buffer = new PassThrough({objectMode: true, highWaterMark: options.batchSize || 1000});
+        rows.once('error', error => buffer.destroy(error));
+        rows.pipe(buffer);
+
+        try {
+            for await (const row of buffer) yield row;
+        } catch (error) {
+            throw this._handleDBError(error, sql);
+        } finally {
+            // Descarta o restante do resultado se o consumidor parou antes do fim
+            rows.unpipe(buffer);
+            if (!rows.readableEnded) rows.close();
+            if (this.isPool) await connection.release();
+        }
+    }
+
     getLimitSyntax(limit, offset = 0) {
         const limitNum = parseInt(limit);
         const offsetNum = parseInt(offset);
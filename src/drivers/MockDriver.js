@@ -0,0 +1,111 @@
+import MySQLDriver from './MySQLDriver.js';
+import MariadbDriver from './MariadbDriver.js';
+import PostgreSQLDriver from './PostgreSQLDriver.js';
+import SQLiteDriver from './SQLiteDriver.js';
+
+// Driver para testes: gera o SQL do dialeto configurado (config.dialect),
+// mas envia tudo para uma MockConnection, que registra e devolve stubs.
+class MockDriver {
+    constructor(connection, config = {}) {
+        this.connection = connection;
+        this.config = config;
+        this.isPool = false;
+        this.DEBUG = config.debug || false;
+
+        const dialects = {
+            'mysql': MySQLDriver,
+            'mariadb': MariadbDriver,
+            'postgres': PostgreSQLDriver,
+            'postgresql': PostgreSQLDriver,
+            'sqlite': SQLiteDriver
+        };
+        const dialect = (config.dialect || 'mysql').toLowerCase();
+        const DialectDriver = dialects[dialect];
+        if (!DialectDriver) throw new Error(`Dialeto não suportado pelo MockDriver: ${config.dialect}. Dialetos disponíveis: ${Object.keys(dialects).join(', ')}`);
+
+        // ✅ Driver real sem conexão, usado apenas para escape e sintaxe do dialeto
+        this.dialectDriver = new DialectDriver(null, config);
+        this.dialect = this.dialectDriver.dialect;
+        this.schema = this.dialectDriver.schema;
+    }
+
+    escapeIdentifier(identifier) {
+        return this.dialectDriver.escapeIdentifier(identifier);
+    }
+
+    escapeValue(value) {
+        return this.dialectDriver.escapeValue(value);
+    }
+
+    getLimitSyntax(limit, offset = 0) {
+        return this.dialectDriver.getLimitSyntax(limit, offset);
+    }
+
+    getRandomFunction() {
+        return this.dialectDriver.getRandomFunction();
+    }
+
+    // Transações e metadados reutilizam a implementação do dialeto,
+    // mas com este driver como contexto: o SQL gerado passa pelo execute() abaixo
+    async beginTransaction() {
+        return this.dialectDriver.beginTransaction.call(this);
+    }
+
+    async commitTransaction() {
+        return this.dialectDriver.commitTransaction.call(this);
+    }
+
+    async rollbackTransaction() {
+        return this.dialectDriver.rollbackTransaction.call(this);
+    }
+
+    async tableExists(tableName) {
+        return this.dialectDriver.tableExists.call(this, tableName);
+    }
+
+    async listTables() {
+        return this.dialectDriver.listTables.call(this);
+    }
+
+    async describeTable(tableName) {
+        return this.dialectDriver.describeTable.call(this, tableName);
+    }
+
+    // ✅ Resultado normalizado: stubs devolvem linhas (array) ou um objeto como
+    // { affectedRows, insertId } (MySQL/MariaDB) ou { changes, lastInsertRowid } (SQLite)
+    async run(sql, params = []) {
+        const result = await this.execute(sql, params);
+        if (Array.isArray(result)) {
+            return {affectedRows: result.length, insertId: null, rows: result, changedRows: result.length};
+        }
+
+        const affectedRows = Number(result?.affectedRows ?? result?.changes ?? 0);
+        return {
+            affectedRows,
+            insertId: result?.insertId ?? (result?.lastInsertRowid ? Number(result.lastInsertRowid) : null),
+            rows: Array.isArray(result?.rows) ? result.rows : [],
+            changedRows: result?.changedRows ?? affectedRows
+        };
+    }
+
+    // Uma única conexão falsa: a sessão é o próprio driver
+    async session(callback) {
+        return callback(this);
+    }
+
+    // Entrega as linhas do stub uma a uma, como os streams dos drivers reais
+    async *stream(sql, params = []) {
+        const rows = await this.execute(sql, params);
+        yield* rows;
+    }
+
+    async execute(sql, params = []) {
+        if (this.DEBUG) {
+            console.log(`🔍 Mock (${this.dialect}) SQL Debug:`, sql);
+            console.log('📝 Mock Params:', params);
+        }
+        return await this.connection.execute(sql, params);
+    }
+}
+
+export default MockDriver;
@@ -2,6 +2,7 @@ class MySQLDriver {
     constructor(connection, config = {}) {
         this.connection = connection;
         this.config = config;
+        this.dialect = 'mysql';
         this.isPool = !!config.max;
         this.DEBUG = config.debug || false;
     }
@@ -60,6 +61,63 @@ class MySQLDriver {
         }
     }
 
+    // ✅ Resultado normalizado: { affectedRows, insertId, rows, changedRows }
+    // mysql2 devolve [linhas, campos] ou [ResultSetHeader, undefined]
+    async run(sql, params = []) {
+        const [result] = await this.execute(sql, params);
+        if (Array.isArray(result)) {
+            return {affectedRows: result.length, insertId: null, rows: result, changedRows: result.length};
+        }
+        return {
+            affectedRows: result.affectedRows,
+            insertId: result.insertId || null,
+            rows: [],
+            changedRows: result.changedRows ?? result.affectedRows
+        };
+    }
+
+    // ✅ Executa o callback com um driver preso a uma única conexão (a do pool é devolvida no fim)
+    async session(callback) {
+        if (!this.isPool) return callback(this);
+
+        const connection = await this.connection.getConnection();
+        try {
+            return await callback(Object.assign(Object.create(this), {connection, isPool: false}));
+        } finally {
+            connection.release();
+        }
+    }
+
+    // ✅ Streaming: as linhas chegam sob demanda e a conexão é pausada enquanto o consumidor não lê
+    async *stream(sql, params = [], options = {}) {
+        const connection = this.isPool ? await this.connection.getConnection() : this.connection;
+
+        // stream() existe apenas na conexão "callback" por trás da API de promises
+        const query = connection.connection.query(sql, params);
+        const rows = query.stream({highWaterMark: options.batchSize || 1000});
+
+        let ended = false;
+        query.once('end', () => {
+            ended = true;
+        });
+
+        try {
+            for await (const row of rows) yield row;
+        } catch (error) {
+            throw this._handleDBError(error, sql);
+        } finally {
+            // Consumidor parou antes do fim: descarta o restante para liberar a conexão
+            if (!ended) {
+                query.removeAllListeners('result');
+                await new Promise(resolve => {
+                    query.once('end', resolve);
+                    connection.connection.resume();
+                });
+            }
+            if (this.isPool) connection.release();
+        }
+    }
+
     getLimitSyntax(limit, offset = 0) {
         const limitNum = parseInt(limit);
         const offsetNum = parseInt(offset);
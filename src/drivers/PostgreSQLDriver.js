@@ -1,7 +1,10 @@
+import SqlParameters from '../SqlParameters.js';
+
 class PostgreSQLDriver {
     constructor(connection, config = {}) {
         this.connection = connection;
         this.config = config;
+        this.dialect = 'postgres';
         this.isPool = !!config.max;
         this.DEBUG = config.debug || false;
 
@@ -50,6 +53,17 @@ class PostgreSQLDriver {
         this.placeholderCache = new Map();
     }
 
+    generateDriverId() {
+        return `pg_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    }
+
+    // Extrai o schema de "--search_path=..." / "-c search_path=..." das options de conexão
+    extractSchemaFromOptions(options) {
+        if (!options || typeof options !== 'string') return 'public';
+        const match = options.match(/search_path=([^,\s]+)/);
+        return match ? match[1] : 'public';
+    }
+
     escapeIdentifier(identifier) {
         if (!identifier) throw new Error('Identifier não pode ser vazio');
 
@@ -130,6 +144,19 @@ class PostgreSQLDriver {
     }
 
     async execute(sql, params = []) {
+        const result = await this._query(sql, params);
+        return result.rows;
+    }
+
+    // ✅ Resultado normalizado: { affectedRows, insertId, rows, changedRows }
+    // O PostgreSQL não tem insertId: use returning() para receber as chaves geradas
+    async run(sql, params = []) {
+        const result = await this._query(sql, params);
+        const affectedRows = result.rowCount ?? result.rows.length;
+        return {affectedRows, insertId: null, rows: result.rows, changedRows: affectedRows};
+    }
+
+    async _query(sql, params = []) {
         try {
             const _sql = this._convertPlaceholders(sql);
             if (this.DEBUG) {
@@ -138,13 +165,59 @@ class PostgreSQLDriver {
                 console.log(`🗄️ Schema:`, this.schema);
                 console.log(`🏊‍♂️ Using Pool:`, this.isPool);
             }
-            const result = await this.connection.execute(_sql, params);
-            return result.rows;
+            // pg.Client e pg.Pool expõem apenas query()
+            return await this.connection.query(_sql, params);
         } catch (error) {
             throw this._handleDBError(error, sql);
         }
     }
 
+    // ✅ Executa o callback com um driver preso a uma única conexão (a do pool é devolvida no fim)
+    async session(callback) {
+        if (!this.isPool) return callback(this);
+
+        const connection = await this.connection.connect();
+        try {
+            return await callback(Object.assign(Object.create(this), {connection, isPool: false}));
+        } finally {
+            connection.release();
+        }
+    }
+
+    // ✅ Streaming com cursor no servidor (pg-cursor): busca batchSize linhas por vez
+    async *stream(sql, params = [], options = {}) {
+        let Cursor;
+        try {
+            ({default: Cursor} = await import('pg-cursor'));
+        } catch (error) {
+            throw new Error('stream() no PostgreSQL requer o pacote pg-cursor: npm install pg-cursor');
+        }
+
+        const batchSize = options.batchSize || 1000;
+        const client = this.isPool ? await this.connection.connect() : this.connection;
+        const cursor = client.query(new Cursor(this._convertPlaceholders(sql), params));
+
+        try {
+            while (true) {
+                const rows = await cursor.read(batchSize);
+                if (rows.length === 0) break;
+                yield* rows;
+            }
+        } catch (error) {
+            throw this._handleDBError(error, sql);
+        } finally {
+            // Uma falha ao fechar o cursor não pode esconder o erro original da leitura;
+            // release(erro) descarta o cliente em vez de devolvê-lo ao pool com o cursor aberto
+            let closeError;
+            try {
+                await cursor.close();
+            } catch (error) {
+                closeError = error;
+            }
+            if (this.isPool) client.release(closeError);
+        }
+    }
+
     getLimitSyntax(limit, offset = 0) {
         const limitNum = parseInt(limit);
         const offsetNum = parseInt(offset);
@@ -384,8 +457,8 @@ class PostgreSQLDriver {
             return this.placeholderCache.get(sql);
         }
 
-        let paramIndex = 1;
-        const convertedSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
+        // '?' em strings, comentários e blocos $$ fica intacto; '??' vira o operador jsonb '?'
+        const convertedSql = SqlParameters.toNumbered(sql);
 
         // Adicionar ao cache se não estiver cheio
         if (this.placeholderCache.size < this.maxPreparedStatements) {
@@ -0,0 +1,214 @@
+class SQLiteDriver {
+    constructor(connection, config = {}) {
+        this.connection = connection;
+        this.config = config;
+        this.dialect = 'sqlite';
+        this.isPool = false; // SQLite não trabalha com pool de conexões
+        this.DEBUG = config.debug || false;
+    }
+
+    escapeIdentifier(identifier) {
+        if (!identifier) throw new Error('Identifier não pode ser vazio');
+
+        // Suporte a bancos anexados: main.usuarios
+        if (identifier.includes('.')) {
+            return identifier.split('.').map(part => `"${part.replace(/"/g, '""')}"`).join('.');
+        }
+        return `"${identifier.replace(/"/g, '""')}"`;
+    }
+
+    escapeValue(value) {
+        if (value === null || value === undefined) return 'NULL';
+        if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+        if (typeof value === 'number') return Number.isFinite(value) ? value.toString() : 'NULL';
+        if (typeof value === 'boolean') return value ? '1' : '0';
+        if (value instanceof Date) return isNaN(value.getTime()) ? 'NULL' : `'${value.toISOString()}'`;
+        if (Buffer.isBuffer(value)) return `X'${value.toString('hex')}'`;
+        if (typeof value === 'object') return `'${JSON.stringify(value).replace(/'/g, "''")}'`;
+        return `'${String(value).replace(/'/g, "''")}'`;
+    }
+
+    async beginTransaction() {
+        try {
+            await this.execute('BEGIN');
+            if (this.DEBUG) console.log('🔄 Transação iniciada');
+        } catch (error) {
+            throw new Error(`Não foi possível iniciar a transação: ${error.message}`);
+        }
+    }
+
+    async commitTransaction() {
+        try {
+            await this.execute('COMMIT');
+            if (this.DEBUG) console.log('✅ Transação confirmada');
+        } catch (error) {
+            throw new Error(`Não foi possível confirmar a transação: ${error.message}`);
+        }
+    }
+
+    async rollbackTransaction() {
+        try {
+            await this.execute('ROLLBACK');
+            if (this.DEBUG) console.log('⛔ Transação revertida');
+        } catch (error) {
+            throw new Error(`Não foi possível reverter a transação: ${error.message}`);
+        }
+    }
+
+    async execute(sql, params = []) {
+        try {
+            if (this.DEBUG) {
+                console.log('🔍 SQLite SQL Debug:', sql);
+                console.log('📝 SQLite Params:', params);
+                console.log('📁 Database:', this.config.database);
+            }
+            const statement = this.connection.prepare(sql);
+            const values = params.map(value => this._normalizeParam(value));
+
+            // Statements que retornam linhas (SELECT, PRAGMA, ... RETURNING) usam all(), os demais run()
+            return statement.reader ? statement.all(values) : statement.run(values);
+        } catch (error) {
+            throw this._handleDBError(error, sql);
+        }
+    }
+
+    // ✅ Resultado normalizado: { affectedRows, insertId, rows, changedRows }
+    async run(sql, params = []) {
+        const result = await this.execute(sql, params);
+        if (Array.isArray(result)) {
+            return {affectedRows: result.length, insertId: null, rows: result, changedRows: result.length};
+        }
+        return {affectedRows: result.changes, insertId: Number(result.lastInsertRowid) || null, rows: [], changedRows: result.changes};
+    }
+
+    // Conexão única: a sessão é o próprio driver
+    async session(callback) {
+        return callback(this);
+    }
+
+    // ✅ Streaming com iterate(): uma linha por vez, sem carregar o resultado inteiro.
+    // Enquanto o iterador estiver aberto a conexão não executa outras queries.
+    async *stream(sql, params = []) {
+        try {
+            const rows = this.connection.prepare(sql).iterate(params.map(value => this._normalizeParam(value)));
+            for (const row of rows) yield row;
+        } catch (error) {
+            throw this._handleDBError(error, sql);
+        }
+    }
+
+    getLimitSyntax(limit, offset = 0) {
+        const limitNum = parseInt(limit);
+        const offsetNum = parseInt(offset);
+        if (isNaN(limitNum) || limitNum < 0) throw new Error('LIMIT deve ser um número não negativo');
+        if (isNaN(offsetNum) || offsetNum < 0) throw new Error('OFFSET deve ser um número não negativo');
+        if (offsetNum > 0) return `LIMIT ${limitNum} OFFSET ${offsetNum}`;
+        return `LIMIT ${limitNum}`;
+    }
+
+    getRandomFunction() {
+        return 'RANDOM()';
+    }
+
+    async tableExists(tableName) {
+        try {
+            const result = await this.execute(`SELECT 1
+                                               FROM sqlite_master
+                                               WHERE type = 'table'
+                                                 AND name = ?`, [tableName]);
+            return result.length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async listTables() {
+        try {
+            const result = await this.execute(`SELECT name
+                                               FROM sqlite_master
+                                               WHERE type = 'table'
+                                                 AND name NOT LIKE 'sqlite_%'
+                                               ORDER BY name`);
+            return result.map(row => row.name);
+        } catch (error) {
+            throw new Error(`Erro ao listar tabelas: ${error.message}`);
+        }
+    }
+
+    async describeTable(tableName) {
+        try {
+            const result = await this.execute(`SELECT * FROM pragma_table_info(?)`, [tableName]);
+
+            // Mesmo formato do information_schema usado pelo PostgreSQL
+            return result.map(col => ({
+                column_name: col.name,
+                data_type: col.type,
+                is_nullable: col.notnull ? 'NO' : 'YES',
+                column_default: col.dflt_value,
+                primary_key: col.pk > 0
+            }));
+        } catch (error) {
+            throw new Error(`Erro ao descrever tabela ${tableName}: ${error.message}`);
+        }
+    }
+
+    async getDatabaseInfo() {
+        try {
+            const [info] = await this.execute(`SELECT
+            sqlite_version() AS version,
+            (SELECT encoding FROM pragma_encoding()) AS charset;`);
+            return {version: info.version, charset: info.charset, collation: 'BINARY'};
+        } catch (error) {
+            throw new Error(`Erro ao obter informações do banco: ${error.message}`);
+        }
+    }
+
+    // better-sqlite3 só aceita números, strings, bigints, buffers e null
+    _normalizeParam(value) {
+        if (value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) return value.toISOString();
+        if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+        return value;
+    }
+
+    _handleDBError(error, sql) {
+        const errorCode = error.code || 'UNKNOWN';
+        const errorMessage = String(error.message || error.toString() || 'Erro desconhecido');
+
+        switch (errorCode) {
+            case 'SQLITE_CONSTRAINT_UNIQUE':
+            case 'SQLITE_CONSTRAINT_PRIMARYKEY':
+                return new Error(`Violação de chave única: ${errorMessage}`);
+            case 'SQLITE_CONSTRAINT_FOREIGNKEY':
+                return new Error(`Violação de chave estrangeira: ${errorMessage}`);
+            case 'SQLITE_CONSTRAINT_NOTNULL':
+                return new Error(`Violação de NOT NULL: ${errorMessage}`);
+            case 'SQLITE_CONSTRAINT_CHECK':
+                return new Error(`Violação de constraint CHECK: ${errorMessage}`);
+            case 'SQLITE_BUSY':
+            case 'SQLITE_LOCKED':
+                return new Error(`Banco de dados bloqueado: ${errorMessage}`);
+            case 'SQLITE_READONLY':
+                return new Error(`Banco de dados somente leitura: ${errorMessage}`);
+            case 'SQLITE_CANTOPEN':
+                return new Error(`Não foi possível abrir o arquivo do banco: ${errorMessage}`);
+            case 'SQLITE_CORRUPT':
+            case 'SQLITE_NOTADB':
+                return new Error(`Arquivo de banco corrompido ou inválido: ${errorMessage}`);
+            case 'SQLITE_FULL':
+                return new Error(`Disco cheio: ${errorMessage}`);
+            case 'SQLITE_MISMATCH':
+                return new Error(`Incompatibilidade de tipos: ${errorMessage}`);
+            case 'SQLITE_ERROR':
+                if (/no such table/i.test(errorMessage)) return new Error(`Tabela não encontrada: ${errorMessage}`);
+                if (/no such column/i.test(errorMessage)) return new Error(`Coluna não encontrada: ${errorMessage}`);
+                if (/syntax error/i.test(errorMessage)) return new Error(`Erro de sintaxe SQL: ${errorMessage}\nSQL: ${sql}`);
+                return new Error(`SQLite Error [${errorCode}]: ${errorMessage}\nSQL: ${sql}`);
+            default:
+                return new Error(`SQLite Error [${errorCode}]: ${errorMessage}\nSQL: ${sql}`);
+        }
+    }
+}
+
+export default SQLiteDriver;
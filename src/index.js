@@ -1,9 +1,14 @@
 // src/index.js
 import Database from './Database.js';
 import QueryBuilder from './QueryBuilder.js';
+import JoinClause from './JoinClause.js';
+import Raw from './Raw.js';
 import Connection from './database/Connection.js';
 import MySQLDriver from './drivers/MySQLDriver.js';
 import PostgreSQLDriver from './drivers/PostgreSQLDriver.js';
+import SQLiteDriver from './drivers/SQLiteDriver.js';
+import MockDriver from './drivers/MockDriver.js';
+import MockConnection from './database/MockConnection.js';
 
 // Exportação principal
 export default Database;
@@ -12,9 +17,14 @@ export default Database;
 export {
     Database,
     QueryBuilder,
+    JoinClause,
+    Raw,
     Connection,
     MySQLDriver,
-    PostgreSQLDriver
+    PostgreSQLDriver,
+    SQLiteDriver,
+    MockDriver,
+    MockConnection
 };
 
 // Versão do pacote
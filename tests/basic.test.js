@@ -1,8 +1,10 @@
 // tests/basic.test.js
-import Database from '../src/index.js';
+import {Readable} from 'stream';
+import Database, {QueryBuilder, PostgreSQLDriver} from '../src/index.js';
+import MariadbDriver from '../src/drivers/MariadbDriver.js';
 
 // Teste básico sem dependência de banco real
-function testeBasico() {
+async function testeBasico() {
     console.log('🧪 Executando testes básicos...\n');
 
     let passou = 0;
@@ -41,43 +43,787 @@ function testeBasico() {
             assert(error.message.includes('Conexão'), 'Builder falha corretamente sem conexão');
         }
 
-        // Teste 4: SQL compilation (mock)
+        // Teste 4: SQL gerada (driver mock)
         console.log('\n📝 Testando compilação de SQL...');
 
-        // Como não temos conexão real, vamos testar a lógica de construção
-        const mockConnection = { execute: () => Promise.resolve([]) };
-        const mockBuilder = {
-            selectFields: ['*'],
-            fromTable: '`usuarios`',
-            whereClauses: ['`ativo` = ?'],
-            orderByFields: ['`nome` ASC'],
-            limitValue: 10,
-            offsetValue: 0,
-            joinClauses: [],
-            groupByFields: [],
-            havingClauses: [],
-            distinctFlag: false
-        };
+        const mockDb = new Database({driver: 'mock', dialect: 'mysql'});
+        await mockDb.connect();
+
+        await mockDb.select('*').from('usuarios').where('ativo', 1).orderBy('nome').limit(10).get();
+        const {sql, params} = mockDb.connection.getLastQuery();
+        const expectedSql = 'SELECT * FROM `usuarios` WHERE `ativo` = ? ORDER BY `nome` ASC LIMIT 10';
+        assert(sql === expectedSql, 'SQL é construída corretamente');
+        assert(JSON.stringify(params) === '[1]', 'Parâmetros são registrados pelo mock');
 
-        // Simular construção de SQL
-        let sql = 'SELECT ';
-        if (mockBuilder.distinctFlag) sql += 'DISTINCT ';
-        sql += mockBuilder.selectFields.join(', ');
-        sql += ` FROM ${mockBuilder.fromTable}`;
-        if (mockBuilder.whereClauses.length > 0) {
-            sql += ` WHERE ${mockBuilder.whereClauses.join(' ')}`;
+        console.log(`   SQL gerada: ${sql}`);
+
+        // Teste 5: Stubs de resultado
+        mockDb.connection.stub(/FROM `usuarios`/, [{id: 1, nome: 'João'}]);
+        const usuario = await mockDb.from('usuarios').where('id', 1).first();
+        assert(usuario && usuario.nome === 'João', 'Mock devolve resultado cadastrado por padrão de SQL');
+
+        mockDb.connection.stub('DELETE', new Error('falha simulada'));
+        try {
+            await mockDb.delete('usuarios', {id: 1});
+            assert(false, 'Stub com Error deveria falhar');
+        } catch (error) {
+            assert(error.message === 'falha simulada', 'Mock propaga erro cadastrado');
         }
-        if (mockBuilder.orderByFields.length > 0) {
-            sql += ` ORDER BY ${mockBuilder.orderByFields.join(', ')}`;
+        await mockDb.disconnect();
+
+        // Teste 6: SQL por dialeto
+        const pgDb = new Database({driver: 'mock', dialect: 'postgres'});
+        await pgDb.connect();
+        await pgDb.update('usuarios', {nome: 'Maria'}, {id: 2});
+        assert(
+            pgDb.connection.getLastQuery().sql.replace(/\s+/g, ' ') === 'UPDATE "public"."usuarios" SET "nome" = ? WHERE "id" = ? RETURNING *',
+            'Mock registra SQL no dialeto PostgreSQL'
+        );
+        assert(JSON.stringify(pgDb.connection.getLastQuery().params) === '["Maria",2]', 'Ordem dos parâmetros no UPDATE');
+        await pgDb.disconnect();
+
+        // Teste 7: Compilação sem conexão
+        const compilado = Database.compiler('postgres')
+            .from('usuarios')
+            .where('ativo', true)
+            .limit(5)
+            .toSQL();
+        assert(
+            compilado.sql === 'SELECT * FROM "public"."usuarios" WHERE "ativo" = ? LIMIT 5 OFFSET 0' && compilado.bindings[0] === true,
+            'Database.compiler compila SELECT sem conexão'
+        );
+
+        const insertCompilado = Database.compiler('mysql').compileInsert('usuarios', {nome: 'Ana', ativo: 1});
+        assert(
+            insertCompilado.sql.replace(/\s+/g, ' ') === 'INSERT INTO `usuarios` (`nome`, `ativo`) VALUES (?, ?)' &&
+            JSON.stringify(insertCompilado.bindings) === '["Ana",1]',
+            'compileInsert retorna sql e bindings'
+        );
+
+        const deleteCompilado = Database.compiler('mariadb').where('id', 3).compileDelete('usuarios');
+        assert(deleteCompilado.sql.replace(/\s+/g, ' ') === 'DELETE FROM `usuarios` WHERE `id` = ?', 'compileDelete compila sem conexão');
+
+        try {
+            await Database.compiler('mysql').from('usuarios').get();
+            assert(false, 'Builder offline não deveria executar');
+        } catch (error) {
+            assert(error.message.includes('sem conexão'), 'Builder offline falha ao executar');
         }
-        if (mockBuilder.limitValue !== null) {
-            sql += ` LIMIT ${mockBuilder.offsetValue}, ${mockBuilder.limitValue}`;
+
+        // Teste 8: Ordem dos bindings independe da ordem das chamadas
+        const ordem = Database.compiler('postgres')
+            .from('pedidos')
+            .union(q => q.from('pedidos_antigos').where('status', 'u'))
+            .whereExists(q => q.from('itens').whereRaw('itens.pedido_id = pedidos.id AND itens.qtd > ?', [5]))
+            .with('recentes', q => q.from('pedidos').where('ano', 2024))
+            .where('cliente_id', 7)
+            .toSQL();
+        assert(JSON.stringify(ordem.bindings) === '[2024,5,7,"u"]', 'Bindings seguem a ordem das cláusulas no SQL');
+
+        const agrupado = Database.compiler('mysql')
+            .from('usuarios u')
+            .where('u.ativo', 1)
+            .orWhere(q => q.where('u.papel', 'admin').whereNull('u.removido_em'))
+            .toSQL();
+        assert(
+            agrupado.sql === 'SELECT * FROM `usuarios` AS `u` WHERE `u`.`ativo` = ? OR (`u`.`papel` = ? AND `u`.`removido_em` IS NULL)' &&
+            JSON.stringify(agrupado.bindings) === '[1,"admin"]',
+            'Grupos com closure e colunas qualificadas são compilados'
+        );
+
+        // Teste 9: Consultas JSON por dialeto
+        const jsonPg = Database.compiler('postgres')
+            .from('clientes')
+            .whereJson('meta->address->city', 'Recife')
+            .whereJsonContains('meta->tags', ['vip'])
+            .toSQL();
+        assert(
+            jsonPg.sql === `SELECT * FROM "public"."clientes" WHERE "meta"->'address'->>'city' = ? AND ("meta"->'tags')::jsonb @> ?::jsonb` &&
+            JSON.stringify(jsonPg.bindings) === '["Recife","[\\"vip\\"]"]',
+            'whereJson e whereJsonContains no PostgreSQL'
+        );
+
+        const jsonMysql = Database.compiler('mysql')
+            .selectJson('meta->tags', 'tags')
+            .from('clientes')
+            .whereJsonLength('meta->tags', 2, '>=')
+            .toSQL();
+        assert(
+            jsonMysql.sql === "SELECT JSON_EXTRACT(`meta`, '$.\"tags\"') AS `tags` FROM `clientes` WHERE JSON_LENGTH(`meta`, '$.\"tags\"') >= ?",
+            'selectJson e whereJsonLength no MySQL'
+        );
+
+        // Teste 10: Busca full-text
+        const buscaMysql = Database.compiler('mysql')
+            .from('artigos')
+            .whereFullText(['titulo', 'corpo'], '+banco -nosql', {mode: 'boolean'})
+            .toSQL();
+        assert(
+            buscaMysql.sql === 'SELECT * FROM `artigos` WHERE MATCH (`titulo`, `corpo`) AGAINST (? IN BOOLEAN MODE)',
+            'whereFullText gera MATCH ... AGAINST no MySQL'
+        );
+
+        const buscaPg = Database.compiler('postgres')
+            .from('artigos')
+            .whereFullText('titulo', 'banco de dados', {language: 'portuguese'})
+            .orderByRelevance('titulo', 'banco de dados', {language: 'portuguese'})
+            .toSQL();
+        assert(
+            buscaPg.sql === `SELECT * FROM "public"."artigos" WHERE to_tsvector('portuguese', "titulo") @@ websearch_to_tsquery('portuguese', ?) ` +
+            `ORDER BY ts_rank(to_tsvector('portuguese', "titulo"), websearch_to_tsquery('portuguese', ?)) DESC` &&
+            buscaPg.bindings.length === 2,
+            'whereFullText e orderByRelevance no PostgreSQL'
+        );
+
+        // Teste 11: JOIN com closure
+        const joinClosure = Database.compiler('mysql')
+            .select(['u.nome', 'p.total'])
+            .from('usuarios u')
+            .leftJoin('pedidos p', j => j.on('p.usuario_id', '=', 'u.id').andOn('p.loja_id', 'u.loja_id').where('p.status', 'pago'))
+            .where('u.tenant_id', 42)
+            .toSQL();
+        assert(
+            joinClosure.sql === 'SELECT u.nome, p.total FROM `usuarios` AS `u` LEFT JOIN `pedidos` AS `p` ' +
+            'ON `p`.`usuario_id` = `u`.`id` AND `p`.`loja_id` = `u`.`loja_id` AND `p`.`status` = ? WHERE `u`.`tenant_id` = ?' &&
+            JSON.stringify(joinClosure.bindings) === '["pago",42]',
+            'JOIN com closure escapa colunas e parametriza valores'
+        );
+
+        const joinSub = Database.compiler('postgres')
+            .from('usuarios u')
+            .joinSubquery(q => q.from('pedidos').where('status', 'pago'), 'p', j => j.on('p.usuario_id', 'u.id').orOn('p.responsavel_id', 'u.id'))
+            .toSQL();
+        assert(
+            joinSub.sql === 'SELECT * FROM "public"."usuarios" AS "u" INNER JOIN (SELECT * FROM "public"."pedidos" WHERE "status" = ?) AS "p" ' +
+            'ON "p"."usuario_id" = "u"."id" OR "p"."responsavel_id" = "u"."id"',
+            'joinSubquery adiciona o JOIN com condições da closure'
+        );
+
+        const joinNulo = Database.compiler('postgres')
+            .from('usuarios u')
+            .join('pedidos p', j => j.on('p.usuario_id', 'u.id').where('p.cancelado_em', null))
+            .toSQL();
+        assert(
+            joinNulo.sql.endsWith('ON "p"."usuario_id" = "u"."id" AND "p"."cancelado_em" IS NULL') && joinNulo.bindings.length === 0,
+            'where(campo, null) no JOIN gera IS NULL'
+        );
+
+        // Teste 12: JOIN LATERAL
+        const lateral = Database.compiler('postgres')
+            .select(['c.nome', 'ult.total'])
+            .from('clientes c')
+            .leftJoinLateral(q => q.from('pedidos p')
+                .whereRaw('p.cliente_id = c.id')
+                .where('p.status', 'pago')
+                .orderBy('p.criado_em', 'DESC')
+                .limit(3), 'ult')
+            .where('c.ativo', true)
+            .toSQL();
+        assert(
+            lateral.sql === 'SELECT c.nome, ult.total FROM "public"."clientes" AS "c" LEFT JOIN LATERAL (SELECT * FROM "public"."pedidos" AS "p" ' +
+            'WHERE (p.cliente_id = c.id) AND "p"."status" = ? ORDER BY "p"."criado_em" DESC LIMIT 3 OFFSET 0) AS "ult" ON TRUE WHERE "c"."ativo" = ?' &&
+            JSON.stringify(lateral.bindings) === '["pago",true]',
+            'joinLateral no PostgreSQL com bindings na ordem'
+        );
+
+        try {
+            Database.compiler('mariadb').from('clientes c').joinLateral(q => q.from('pedidos'), 'p').toSQL();
+            assert(false, 'joinLateral deveria falhar no MariaDB');
+        } catch (error) {
+            assert(error.message.includes('não suportado no dialeto mariadb'), 'joinLateral gera erro de capacidade no MariaDB');
         }
 
-        const expectedSql = 'SELECT * FROM `usuarios` WHERE `ativo` = ? ORDER BY `nome` ASC LIMIT 0, 10';
-        assert(sql === expectedSql, 'SQL é construída corretamente');
+        try {
+            Database.compiler('mysql', {serverVersion: '8.0.13'}).from('clientes c').joinLateral(q => q.from('pedidos'), 'p').toSQL();
+            assert(false, 'joinLateral deveria falhar no MySQL 8.0.13');
+        } catch (error) {
+            assert(error.message.includes('MySQL 8.0.14+'), 'joinLateral verifica a versão do MySQL');
+        }
 
-        console.log(`   SQL gerada: ${sql}`);
+        // Teste 13: whereColumn e filtros por data
+        const datasMysql = Database.compiler('mysql')
+            .from('pedidos')
+            .whereColumn('atualizado_em', '>', 'criado_em')
+            .whereDate('criado_em', '2024-05-01')
+            .whereYear('entregue_em', 2024, '>=')
+            .toSQL();
+        assert(
+            datasMysql.sql === 'SELECT * FROM `pedidos` WHERE `atualizado_em` > `criado_em` AND DATE(`criado_em`) = ? AND YEAR(`entregue_em`) >= ?' &&
+            JSON.stringify(datasMysql.bindings) === '["2024-05-01",2024]',
+            'whereColumn, whereDate e whereYear no MySQL'
+        );
+
+        const datasPg = Database.compiler('postgres')
+            .from('pedidos')
+            .whereDate('criado_em', '2024-05-01')
+            .whereMonth('criado_em', 5)
+            .whereTime('criado_em', '12:00', '<')
+            .toSQL();
+        assert(
+            datasPg.sql === 'SELECT * FROM "public"."pedidos" WHERE "criado_em"::date = ? AND EXTRACT(MONTH FROM "criado_em") = ? AND "criado_em"::time < ?',
+            'whereDate, whereMonth e whereTime no PostgreSQL'
+        );
+
+        // Teste 14: CTEs
+        const arvore = Database.compiler('mysql', {serverVersion: '8.0.36'})
+            .withRecursive('arvore',
+                q => q.select(['id', 'pai_id']).from('categorias').where('id', 1),
+                q => q.select(['c.id', 'c.pai_id']).from('categorias c').join('arvore a', 'c.pai_id = a.id'),
+                ['id', 'pai_id'])
+            .from('arvore')
+            .toSQL();
+        assert(
+            arvore.sql === 'WITH RECURSIVE `arvore` (`id`, `pai_id`) AS (SELECT id, pai_id FROM `categorias` WHERE `id` = ? ' +
+            'UNION ALL SELECT c.id, c.pai_id FROM `categorias` AS `c` INNER JOIN `arvore` AS `a` ON c.pai_id = a.id) SELECT * FROM `arvore`',
+            'withRecursive com âncora, parte recursiva e colunas no MySQL'
+        );
+
+        const updateComCte = Database.compiler('postgres')
+            .with('inativos', q => q.select(['id']).from('usuarios').where('ultimo_login', '2020-01-01', '<'))
+            .whereRaw('id IN (SELECT id FROM inativos)')
+            .compileUpdate('usuarios', {ativo: false});
+        assert(
+            updateComCte.sql === 'WITH "inativos" AS (SELECT id FROM "public"."usuarios" WHERE "ultimo_login" < ?) ' +
+            'UPDATE "public"."usuarios" SET "ativo" = ? WHERE id IN (SELECT id FROM inativos) RETURNING *' &&
+            JSON.stringify(updateComCte.bindings) === '["2020-01-01",false]',
+            'CTE antes de UPDATE com bindings na ordem'
+        );
+
+        try {
+            Database.compiler('mysql', {serverVersion: '5.7.44'}).with('x', q => q.from('a')).from('x').toSQL();
+            assert(false, 'CTE deveria falhar no MySQL 5.7');
+        } catch (error) {
+            assert(error.message.includes('MySQL 8.0+'), 'CTE gera erro de capacidade no MySQL 5.7');
+        }
+
+        // Teste 15: when/unless e scopes
+        const filtros = {cidade: 'Recife', status: null};
+        const condicional = Database.compiler('mysql')
+            .from('usuarios')
+            .when(filtros.cidade, (q, cidade) => q.where('cidade', cidade))
+            .when(filtros.status, (q, status) => q.where('status', status), q => q.whereNull('status'))
+            .unless(filtros.cidade, q => q.where('pais', 'BR'))
+            .toSQL();
+        assert(
+            condicional.sql === 'SELECT * FROM `usuarios` WHERE `cidade` = ? AND `status` IS NULL' &&
+            JSON.stringify(condicional.bindings) === '["Recife"]',
+            'when() e unless() aplicam callbacks sem quebrar a cadeia'
+        );
+
+        QueryBuilder.scope('ativos', q => q.where('ativo', 1));
+        QueryBuilder.scope('visivelPara', (q, usuario) => q.where('tenant_id', usuario.tenantId));
+        const comScopes = Database.compiler('mysql').from('usuarios').ativos().visivelPara({tenantId: 9}).toSQL();
+        assert(
+            comScopes.sql === 'SELECT * FROM `usuarios` WHERE `ativo` = ? AND `tenant_id` = ?' &&
+            JSON.stringify(comScopes.bindings) === '[1,9]',
+            'Scopes registrados ficam disponíveis em todos os builders'
+        );
+
+        try {
+            QueryBuilder.macro('where', function () {});
+            assert(false, 'Macro não deveria sobrescrever método existente');
+        } catch (error) {
+            assert(error.message.includes('método existente'), 'Macro não sobrescreve métodos do QueryBuilder');
+        }
+        QueryBuilder.flushMacros();
+        assert(!QueryBuilder.hasMacro('ativos') && typeof Database.compiler('mysql').ativos === 'undefined', 'flushMacros remove scopes registrados');
+
+        // Teste 16: UNION/INTERSECT/EXCEPT com ORDER BY/LIMIT externos
+        const composta = Database.compiler('postgres')
+            .select(['id']).from('clientes').where('ativo', true).orderBy('id').limit(10)
+            .intersect(q => q.select(['cliente_id']).from('pedidos').where('total', 100, '>'))
+            .exceptAll(q => q.select(['cliente_id']).from('bloqueios'))
+            .outerOrderBy('id', 'DESC')
+            .outerLimit(5, 10)
+            .toSQL();
+        assert(
+            composta.sql === '(SELECT id FROM "public"."clientes" WHERE "ativo" = ? ORDER BY "id" ASC LIMIT 10 OFFSET 0) ' +
+            'INTERSECT (SELECT cliente_id FROM "public"."pedidos" WHERE "total" > ?) ' +
+            'EXCEPT ALL (SELECT cliente_id FROM "public"."bloqueios") ORDER BY "id" DESC LIMIT 5 OFFSET 10' &&
+            JSON.stringify(composta.bindings) === '[true,100]',
+            'Operações de conjunto com ORDER BY/LIMIT externos'
+        );
+
+        const capacidades = [
+            [() => Database.compiler('mysql', {serverVersion: '8.0.30'}).from('a').intersect(q => q.from('b')).toSQL(), 'MySQL 8.0.31+'],
+            [() => Database.compiler('mariadb', {serverVersion: '10.4.0'}).from('a').exceptAll(q => q.from('b')).toSQL(), 'MariaDB 10.5+'],
+            [() => Database.compiler('sqlite').from('a').intersectAll(q => q.from('b')).toSQL(), 'INTERSECT ALL'],
+            [() => Database.compiler('sqlite').from('a').limit(1).union(q => q.from('b')).toSQL(), 'outerLimit']
+        ];
+        capacidades.forEach(([compilar, esperado]) => {
+            try {
+                compilar();
+                assert(false, `Deveria falhar: ${esperado}`);
+            } catch (error) {
+                assert(error.message.includes(esperado), `Erro de capacidade: ${esperado}`);
+            }
+        });
+        assert(
+            Database.compiler('mysql', {serverVersion: '8.0.31'}).from('a').except(q => q.from('b')).toSQL().sql ===
+            'SELECT * FROM `a` EXCEPT (SELECT * FROM `b`)',
+            'EXCEPT liberado no MySQL 8.0.31'
+        );
+
+        // Teste 17: Locks pessimistas
+        const reserva = (dialeto, config = {}) => Database.compiler(dialeto, config)
+            .from('estoque e').join('produtos p', 'p.id = e.produto_id').where('e.produto_id', 7);
+        const locks = [
+            [reserva('postgres').lockForUpdate('e').skipLocked(), 'FOR UPDATE OF "e" SKIP LOCKED'],
+            [reserva('postgres').sharedLock().noWait(), 'FOR SHARE NOWAIT'],
+            [reserva('mysql').lockForUpdate().noWait(), 'FOR UPDATE NOWAIT'],
+            [reserva('mysql', {serverVersion: '5.7.44'}).sharedLock(), 'LOCK IN SHARE MODE'],
+            [reserva('mariadb', {serverVersion: '10.6.16'}).sharedLock().skipLocked(), 'LOCK IN SHARE MODE SKIP LOCKED']
+        ];
+        locks.forEach(([query, esperado]) => {
+            const {sql} = query.toSQL();
+            assert(sql.endsWith(`WHERE \`e\`.\`produto_id\` = ? ${esperado}`) || sql.endsWith(`WHERE "e"."produto_id" = ? ${esperado}`), `Lock compilado: ${esperado}`);
+        });
+        assert(!reserva('sqlite').lockForUpdate().toSQL().sql.includes('FOR'), 'SQLite omite o lock');
+
+        try {
+            reserva('mysql', {serverVersion: '5.7.44'}).lockForUpdate().skipLocked().toSQL();
+            assert(false, 'SKIP LOCKED deveria falhar no MySQL 5.7');
+        } catch (error) {
+            assert(error.message.includes('MySQL 8.0+'), 'SKIP LOCKED gera erro de capacidade no MySQL 5.7');
+        }
+
+        const lockDb = new Database({driver: 'mock', dialect: 'postgres'});
+        await lockDb.connect();
+        try {
+            await lockDb.from('estoque').lockForUpdate().get();
+            assert(false, 'Lock fora de transação deveria falhar');
+        } catch (error) {
+            assert(error.message.includes('transaction()'), 'Lock fora de transaction() falha');
+        }
+        await lockDb.builder().transaction(q => q.from('estoque').where('id', 1).lockForUpdate().get());
+        const queriesLock = lockDb.connection.getQueries().map(q => q.sql);
+        assert(
+            queriesLock.join('; ') === 'BEGIN; SELECT * FROM "public"."estoque" WHERE "id" = ? FOR UPDATE; COMMIT',
+            'Lock executado dentro de transaction()'
+        );
+        await lockDb.disconnect();
+
+        // Teste 18: UPDATE/DELETE com JOIN
+        const sincroniza = dialeto => Database.compiler(dialeto)
+            .join('clientes c', j => j.on('c.id', 'p.cliente_id').where('c.regiao', 'NE'))
+            .where('p.status', 'aberto')
+            .orWhere('p.status', 'pendente');
+        const updateMysql = sincroniza('mysql').compileUpdate('pedidos p', {'p.regiao': 'NE', 'p.atualizado': 1});
+        assert(
+            updateMysql.sql === 'UPDATE `pedidos` AS `p` INNER JOIN `clientes` AS `c` ON `c`.`id` = `p`.`cliente_id` AND `c`.`regiao` = ? ' +
+            'SET `p`.`regiao` = ?, `p`.`atualizado` = ? WHERE `p`.`status` = ? OR `p`.`status` = ?' &&
+            JSON.stringify(updateMysql.bindings) === '["NE","NE",1,"aberto","pendente"]',
+            'UPDATE ... JOIN no MySQL com bindings na ordem'
+        );
+
+        const updatePg = sincroniza('postgres').compileUpdate('pedidos p', {'p.regiao': 'NE'});
+        assert(
+            updatePg.sql === 'UPDATE "public"."pedidos" AS "p" SET "regiao" = ? FROM "public"."clientes" AS "c" ' +
+            'WHERE ("c"."id" = "p"."cliente_id" AND "c"."regiao" = ?) AND ("p"."status" = ? OR "p"."status" = ?) RETURNING *' &&
+            JSON.stringify(updatePg.bindings) === '["NE","NE","aberto","pendente"]',
+            'UPDATE ... FROM no PostgreSQL com bindings na ordem'
+        );
+
+        const deleteMysql = Database.compiler('mariadb').join('clientes c', 'c.id = p.cliente_id').where('c.ativo', 0).compileDelete('pedidos p');
+        assert(
+            deleteMysql.sql === 'DELETE `p` FROM `pedidos` AS `p` INNER JOIN `clientes` AS `c` ON c.id = p.cliente_id WHERE `c`.`ativo` = ?',
+            'DELETE alvo FROM ... JOIN no MariaDB'
+        );
+
+        const deletePg = Database.compiler('postgres').join('clientes c', 'c.id = p.cliente_id').where('c.ativo', false).compileDelete('pedidos p');
+        assert(
+            deletePg.sql === 'DELETE FROM "public"."pedidos" AS "p" USING "public"."clientes" AS "c" WHERE (c.id = p.cliente_id) AND "c"."ativo" = ? RETURNING *',
+            'DELETE ... USING no PostgreSQL'
+        );
+
+        try {
+            Database.compiler('postgres').leftJoin('clientes c', 'c.id = p.cliente_id').compileDelete('pedidos p');
+            assert(false, 'LEFT JOIN como primeiro JOIN do DELETE deveria falhar');
+        } catch (error) {
+            assert(error.message.includes('use INNER'), 'LEFT JOIN no DELETE ... USING gera erro');
+        }
+
+        // Teste 19: insertBatch dividido pelo limite de parâmetros
+        const loteDb = new Database({driver: 'mock', dialect: 'postgres', maxBindings: 6});
+        await loteDb.connect();
+        loteDb.connection.stub('INSERT', (sql, params) => params.filter((_, i) => i % 3 === 0).map(id => ({id})));
+        const linhas = [1, 2, 3, 4, 5].map(id => ({id, nome: `n${id}`, ativo: true}));
+        const lote = await loteDb.builder().insertBatch('itens', linhas, {transaction: true});
+        const queriesLote = loteDb.connection.getQueries();
+        assert(
+            queriesLote.map(q => q.sql.startsWith('INSERT') ? q.params.length : q.sql).join(',') === 'BEGIN,6,6,3,COMMIT',
+            'insertBatch divide o lote por maxBindings dentro da transação'
+        );
+        assert(lote.affectedRows === 5 && lote.rows.map(r => r.id).join(',') === '1,2,3,4,5', 'insertBatch soma affectedRows e rows do RETURNING');
+
+        loteDb.connection.reset();
+        await loteDb.builder().insertBatch('itens', linhas, {batchSize: 4});
+        assert(loteDb.connection.getQueries().map(q => q.params.length).join(',') === '6,6,3', 'maxBindings prevalece sobre batchSize maior');
+        await loteDb.disconnect();
+
+        // Teste 20: Upsert em lote
+        const estoque = [{sku: 'A1', qtd: 5, nome: 'Caneta'}, {sku: 'B2', qtd: 3, nome: 'Lápis'}];
+        const upsertPg = Database.compiler('postgres').compileUpsert('estoque', estoque, ['sku'], {
+            update: {qtd: 'estoque.qtd + excluded.qtd'},
+            conflictWhere: 'ativo'
+        });
+        assert(
+            upsertPg.sql === 'INSERT INTO "public"."estoque" ("sku", "qtd", "nome") VALUES (?, ?, ?), (?, ?, ?) ' +
+            'ON CONFLICT ("sku") WHERE ativo DO UPDATE SET "qtd" = estoque.qtd + excluded.qtd RETURNING *' &&
+            JSON.stringify(upsertPg.bindings) === '["A1",5,"Caneta","B2",3,"Lápis"]',
+            'Upsert em lote no PostgreSQL com mapa de expressões e WHERE do conflito'
+        );
+        assert(
+            Database.compiler('postgres').compileUpsert('estoque', estoque[0], null, {constraint: 'estoque_sku_key', update: ['qtd']}).sql ===
+            'INSERT INTO "public"."estoque" ("sku", "qtd", "nome") VALUES (?, ?, ?) ON CONFLICT ON CONSTRAINT "estoque_sku_key" DO UPDATE SET "qtd" = EXCLUDED."qtd" RETURNING *',
+            'Upsert com ON CONSTRAINT no PostgreSQL'
+        );
+        assert(
+            Database.compiler('mysql', {serverVersion: '8.0.19'}).compileUpsert('estoque', estoque, ['sku']).sql ===
+            'INSERT INTO `estoque` (`sku`, `qtd`, `nome`) VALUES (?, ?, ?), (?, ?, ?) AS `excluded` ' +
+            'ON DUPLICATE KEY UPDATE `qtd` = `excluded`.`qtd`, `nome` = `excluded`.`nome`',
+            'Upsert no MySQL 8.0.19+ usa alias de linha e não atualiza a chave'
+        );
+        assert(
+            Database.compiler('mysql').compileUpsert('estoque', estoque, ['sku']).sql ===
+            'INSERT INTO `estoque` (`sku`, `qtd`, `nome`) VALUES (?, ?, ?), (?, ?, ?) ' +
+            'ON DUPLICATE KEY UPDATE `qtd` = VALUES(`qtd`), `nome` = VALUES(`nome`)',
+            'Upsert no MySQL sem serverVersion usa VALUES(), aceito em todas as versões'
+        );
+        assert(
+            Database.compiler('mariadb').compileUpsert('estoque', estoque, ['sku'], {update: ['qtd']}).sql ===
+            'INSERT INTO `estoque` (`sku`, `qtd`, `nome`) VALUES (?, ?, ?), (?, ?, ?) ON DUPLICATE KEY UPDATE `qtd` = VALUES(`qtd`)',
+            'Upsert no MariaDB usa VALUES() com lista de colunas'
+        );
+        const somaPortavel = {update: {qtd: 'estoque.qtd + excluded.qtd', nome: QueryBuilder.raw('COALESCE(`excluded`.`nome`, ?)', ['-'])}};
+        const somaLegado = Database.compiler('mysql').compileUpsert('estoque', estoque[0], ['sku'], somaPortavel);
+        assert(
+            somaLegado.sql.endsWith('ON DUPLICATE KEY UPDATE `qtd` = estoque.qtd + VALUES(`qtd`), `nome` = COALESCE(VALUES(`nome`), ?)') &&
+            JSON.stringify(somaLegado.bindings) === '["A1",5,"Caneta","-"]' &&
+            Database.compiler('mysql', {serverVersion: '8.0.19'}).compileUpsert('estoque', estoque[0], ['sku'], somaPortavel).sql
+                .includes('`qtd` = estoque.qtd + excluded.qtd'),
+            'excluded.coluna no mapa update vira VALUES(coluna) sem o alias de linha'
+        );
+        try {
+            Database.compiler('sqlite').compileUpsert('estoque', estoque, null, {constraint: 'estoque_sku_key'});
+            assert(false, 'ON CONSTRAINT deveria falhar no SQLite');
+        } catch (error) {
+            assert(error.message.includes('ON CONSTRAINT'), 'ON CONSTRAINT gera erro de capacidade no SQLite');
+        }
+
+        // Teste 21: returning() nativo e emulado
+        assert(
+            Database.compiler('postgres').returning(['id', 'atualizado_em']).where('id', 1).compileUpdate('pedidos', {status: 'pago'}).sql ===
+            'UPDATE "public"."pedidos" SET "status" = ? WHERE "id" = ? RETURNING "id", "atualizado_em"',
+            'returning() define as colunas do RETURNING no PostgreSQL'
+        );
+        assert(
+            !Database.compiler('postgres').returning(false).compileInsert('pedidos', {status: 'novo'}).sql.includes('RETURNING'),
+            'returning(false) desativa o RETURNING * padrão'
+        );
+        assert(
+            Database.compiler('mariadb', {serverVersion: '10.5.4'}).returning(['id']).compileInsert('pedidos', {status: 'novo'}).sql ===
+            'INSERT INTO `pedidos` (`status`) VALUES (?) RETURNING `id`' &&
+            !Database.compiler('mariadb', {serverVersion: '10.4.0'}).returning(['id']).compileInsert('pedidos', {status: 'novo'}).sql.includes('RETURNING'),
+            'RETURNING nativo apenas no MariaDB 10.5+'
+        );
+
+        const retDb = new Database({driver: 'mock', dialect: 'mysql'});
+        await retDb.connect();
+        retDb.connection.stub('INSERT', {insertId: 10, affectedRows: 1});
+        retDb.connection.stub(/^SELECT `id`, `status` FROM `pedidos` WHERE `id` IN \(\?\) ORDER BY `id` ASC$/, (sql, params) => params.map(id => ({id, status: 'novo'})));
+        const inserido = await retDb.builder().returning(['id', 'status']).insert('pedidos', {status: 'novo'});
+        assert(
+            inserido.affectedRows === 1 && inserido.rows.map(r => r.id).join(',') === '10' &&
+            JSON.stringify(retDb.connection.getQueries()[2].params) === '[10]' &&
+            retDb.connection.getQueries().map(q => q.sql.split(' ')[0]).join(',') === 'START,INSERT,SELECT,COMMIT',
+            'returning() no MySQL relê a linha inserida pelo insertId, numa transação'
+        );
+
+        retDb.connection.reset();
+        try {
+            await retDb.builder().returning(['id', 'status']).insertBatch('pedidos', [{status: 'novo'}, {status: 'novo'}]);
+            assert(false, 'returning() no INSERT de várias linhas sem chave deveria falhar no MySQL');
+        } catch (error) {
+            assert(
+                error.message.includes('várias linhas sem "id"') && retDb.connection.getQueries().every(q => !q.sql.startsWith('INSERT')),
+                'returning() no INSERT de várias linhas sem chave falha no MySQL antes de inserir'
+            );
+        }
+        retDb.connection.stub(/^SELECT `id`, `status` FROM `pedidos` WHERE `id` IN/, (sql, params) => params.map(id => ({id, status: 'novo'})));
+        const comChaves = await retDb.builder().returning(['id', 'status']).insertBatch('pedidos', [{id: 21, status: 'novo'}, {id: 22, status: 'novo'}]);
+        assert(comChaves.rows.map(r => r.id).join(',') === '21,22', 'returning() no INSERT de várias linhas relê pelas chaves informadas');
+
+        retDb.connection.reset();
+        retDb.connection.stub(/^SELECT `p`\.`id` FROM/, [{id: 4}, {id: 7}]);
+        retDb.connection.stub(/^SELECT `id`, `status` FROM `pedidos` WHERE `id` IN/, (sql, params) => params.map(id => ({id, status: 'pago'})));
+        const atualizados = await retDb.builder().returning(['id', 'status']).where('p.cliente_id', 9).update('pedidos p', {'p.status': 'pago'});
+        assert(
+            retDb.connection.getQueries().map(q => q.sql.split(' ')[0]).join(',') === 'START,SELECT,UPDATE,SELECT,COMMIT' &&
+            retDb.connection.getQueries()[1].sql.endsWith('FOR UPDATE') &&
+            atualizados.rows.map(r => `${r.id}:${r.status}`).join(',') === '4:pago,7:pago' && atualizados.insertId === null,
+            'returning() no UPDATE do MySQL trava as chaves antes e relê depois, numa transação'
+        );
+        await retDb.disconnect();
+
+        // Teste 22: INSERT ... SELECT com insertUsing()
+        const arquivo = q => q.select(['id', 'total']).from('pedidos').where('ano', 2020, '<');
+        const copiaPg = Database.compiler('postgres').compileInsertUsing('pedidos_arquivo', ['id', 'total'], arquivo, {conflictColumns: ['id']});
+        assert(
+            copiaPg.sql === 'INSERT INTO "public"."pedidos_arquivo" ("id", "total") SELECT id, total FROM "public"."pedidos" WHERE "ano" < ? ' +
+            'ON CONFLICT ("id") DO UPDATE SET "total" = EXCLUDED."total" RETURNING *' &&
+            JSON.stringify(copiaPg.bindings) === '[2020]',
+            'insertUsing com ON CONFLICT no PostgreSQL'
+        );
+
+        const copiaMysql = Database.compiler('mysql', {serverVersion: '8.0.32'})
+            .with('antigos', q => q.from('pedidos').where('ano', 2020, '<'))
+            .compileInsertUsing('pedidos_arquivo', ['id', 'total'], q => q.select(['id', 'total']).from('antigos'), {update: ['total']});
+        assert(
+            copiaMysql.sql === 'INSERT INTO `pedidos_arquivo` (`id`, `total`) WITH `antigos` AS (SELECT * FROM `pedidos` WHERE `ano` < ?) ' +
+            'SELECT * FROM (SELECT id, total FROM `antigos`) AS `excluded` (`id`, `total`) ON DUPLICATE KEY UPDATE `total` = `excluded`.`total`',
+            'insertUsing no MySQL com CTE após as colunas e tabela derivada no upsert'
+        );
+        assert(
+            Database.compiler('mysql').compileInsertUsing('pedidos_arquivo', ['id', 'total'], q => q.select(['id', 'total']).from('pedidos'), {update: ['total']}).sql ===
+            'INSERT INTO `pedidos_arquivo` (`id`, `total`) SELECT id, total FROM `pedidos` ON DUPLICATE KEY UPDATE `total` = VALUES(`total`)',
+            'insertUsing com upsert no MySQL sem serverVersion usa VALUES()'
+        );
+        assert(
+            Database.compiler('sqlite').compileInsertUsing('a', ['id'], q => q.select(['id']).from('b'), {conflictColumns: ['id']}).sql ===
+            'INSERT INTO "a" ("id") SELECT * FROM (SELECT id FROM "b") WHERE true ON CONFLICT ("id") DO NOTHING',
+            'insertUsing com upsert no SQLite evita a ambiguidade do ON'
+        );
+
+        // Teste 23: Resultado normalizado no mysql2 ([linhas, campos] / ResultSetHeader)
+        const resDb = new Database({driver: 'mock', dialect: 'mysql'});
+        await resDb.connect();
+        resDb.connection.stub('UPDATE', {affectedRows: 3, changedRows: 1, insertId: 0});
+        resDb.connection.stub('SELECT', [{id: 1}]);
+        const alterados = await resDb.builder().where('ativo', 1).update('usuarios', {ativo: 1});
+        const usuarios = await resDb.from('usuarios').get();
+        assert(
+            JSON.stringify(alterados) === '{"affectedRows":3,"insertId":null,"rows":[],"changedRows":1}' &&
+            Array.isArray(usuarios) && usuarios[0].id === 1,
+            'update devolve o resultado normalizado e get() um array de linhas'
+        );
+        await resDb.disconnect();
+
+        // Teste 24: Expressões raw em qualquer posição
+        const raw = QueryBuilder.raw;
+        const rawSelect = Database.compiler('postgres')
+            .select(['u.id', raw('COALESCE(u.apelido, ?) AS nome', ['anônimo'])])
+            .from('usuarios u')
+            .join('pedidos p', raw('p.usuario_id = u.id AND p.total > ?', [100]))
+            .where('u.criado_em', raw('NOW() - ?::interval', ['1 day']), '>')
+            .groupBy(['u.id', raw('date_trunc(?, u.criado_em)', ['month'])])
+            .orderBy(raw('LENGTH(u.nome)'), 'desc')
+            .toSQL();
+        assert(
+            rawSelect.sql === 'SELECT u.id, COALESCE(u.apelido, ?) AS nome FROM "public"."usuarios" AS "u" ' +
+            'INNER JOIN "public"."pedidos" AS "p" ON p.usuario_id = u.id AND p.total > ? WHERE "u"."criado_em" > NOW() - ?::interval ' +
+            'GROUP BY "u"."id", date_trunc(?, u.criado_em) ORDER BY LENGTH(u.nome) DESC' &&
+            JSON.stringify(rawSelect.bindings) === '["anônimo",100,"1 day","month"]',
+            'raw() em select, join, where, groupBy e orderBy com bindings na posição certa'
+        );
+        assert(
+            Database.compiler('postgres').compileInsert('eventos', {id: raw('gen_random_uuid()'), nome: 'x', criado_em: raw('NOW()')}).sql ===
+            'INSERT INTO "public"."eventos" ("id", "nome", "criado_em") VALUES (gen_random_uuid(), ?, NOW()) RETURNING *',
+            'raw() nos dados do insert'
+        );
+        const rawUpsert = Database.compiler('mysql').compileUpsert('estoque', [{sku: 'a', qtd: 1}], ['sku'], {update: {qtd: raw('qtd + ?', [7])}});
+        assert(
+            rawUpsert.sql.endsWith('ON DUPLICATE KEY UPDATE `qtd` = qtd + ?') && JSON.stringify(rawUpsert.bindings) === '["a",1,7]',
+            'raw() no mapa update do upsert'
+        );
+        const rawJson = Database.compiler('postgres').from('clientes').whereJsonLength('meta->tags', raw('? + 1', [2]), '>').toSQL();
+        assert(
+            rawJson.sql.endsWith('> ? + 1') && JSON.stringify(rawJson.bindings) === '[2]',
+            'raw() como valor de whereJsonLength'
+        );
+
+        // Teste 25: Parâmetros nomeados e conversão de placeholders do PostgreSQL
+        const periodo = Database.compiler('postgres')
+            .from('vendas')
+            .whereRaw('(criado_em >= :ini AND criado_em < :fim) OR (pago_em >= :ini AND pago_em < :fim)', {ini: '2024-01-01', fim: '2024-02-01'})
+            .where('loja', 3)
+            .toSQL();
+        assert(
+            periodo.sql.endsWith('WHERE ((criado_em >= ? AND criado_em < ?) OR (pago_em >= ? AND pago_em < ?)) AND "loja" = ?') &&
+            JSON.stringify(periodo.bindings) === '["2024-01-01","2024-02-01","2024-01-01","2024-02-01",3]',
+            'whereRaw() aceita :nome repetido e fica entre parênteses ao lado de outras condições'
+        );
+        assert(
+            new PostgreSQLDriver(null)._convertPlaceholders("SELECT '?', $$ ? $$ FROM t WHERE a = ? AND b ?| ? AND c ?? 'k' -- ?\n AND x::int = ?") ===
+            "SELECT '?', $$ ? $$ FROM t WHERE a = $1 AND b ?| $2 AND c ? 'k' -- ?\n AND x::int = $3",
+            'placeholders do PostgreSQL ignoram strings, comentários, $$ e operadores jsonb'
+        );
+
+        const namedDb = new Database({driver: 'mock', dialect: 'mysql'});
+        await namedDb.connect();
+        await namedDb.query("SELECT * FROM vendas WHERE loja = :loja AND obs <> ':loja' AND (origem = :loja OR destino = $loja)", {loja: 7});
+        const [executada] = namedDb.connection.getQueries();
+        assert(
+            executada.sql === "SELECT * FROM vendas WHERE loja = ? AND obs <> ':loja' AND (origem = ? OR destino = ?)" &&
+            JSON.stringify(executada.params) === '[7,7,7]',
+            'query() com objeto de parâmetros nomeados'
+        );
+        await namedDb.query('SELECT * FROM notas WHERE texto <> "aspas \\" :loja" AND loja = :loja', {loja: 8});
+        const [, escapada] = namedDb.connection.getQueries();
+        assert(
+            escapada.sql === 'SELECT * FROM notas WHERE texto <> "aspas \\" :loja" AND loja = ?' &&
+            JSON.stringify(escapada.params) === '[8]',
+            'barra invertida escapa aspas duplas no MySQL'
+        );
+        await namedDb.disconnect();
+
+        // Teste 26: cursorPaginate com JOIN não duplica nem deixa ambígua a coluna de desempate
+        const cursorDb = new Database({driver: 'mock', dialect: 'postgres'});
+        await cursorDb.connect();
+        const paginaCursor = () => cursorDb.select(['p.id', 'p.total']).from('pedidos p').join('clientes c', 'c.id = p.cliente_id');
+        await paginaCursor().orderBy('p.id').cursorPaginate(10);
+        await paginaCursor().orderBy('p.total', 'desc').cursorPaginate(10);
+        const [porId, porTotal] = cursorDb.connection.getQueries().map(q => q.sql);
+        assert(
+            porId.endsWith('ORDER BY "p"."id" ASC LIMIT 11 OFFSET 0') &&
+            porTotal.endsWith('ORDER BY "p"."total" DESC, "p"."id" DESC LIMIT 11 OFFSET 0'),
+            'cursorPaginate reconhece p.id como desempate e qualifica o id com JOIN'
+        );
+        await cursorDb.disconnect();
+
+        // Teste 27: insertBatch com transaction usa uma única sessão para BEGIN, lotes e COMMIT
+        const txDb = new Database({driver: 'mock', dialect: 'postgres'});
+        await txDb.connect();
+        const txBuilder = txDb.builder();
+        let sessoes = 0;
+        const abrirSessao = txBuilder.driver.session.bind(txBuilder.driver);
+        txBuilder.driver.session = callback => {
+            sessoes++;
+            return abrirSessao(callback);
+        };
+        await txBuilder.returning(false).insertBatch('leituras', [{v: 1}, {v: 2}, {v: 3}], {batchSize: 2, transaction: true});
+        assert(
+            sessoes === 1 && txDb.connection.getQueries().map(q => q.sql.split(' ')[0]).join(',') === 'BEGIN,INSERT,INSERT,COMMIT',
+            'insertBatch com transaction roda os lotes numa sessão presa à conexão'
+        );
+        await txDb.disconnect();
+
+        // Teste 28: transaction() prende todos os comandos, inclusive de clones e do returning() emulado, a uma sessão
+        // sessaoRegistrada: substitui driver.session() por uma sessão própria que registra cada SQL recebido
+        const sessaoRegistrada = builder => {
+            const sessao = {sessoes: 0, conexao: null, queries: []};
+            const pool = builder.driver;
+            pool.session = callback => {
+                sessao.sessoes++;
+                sessao.conexao = Object.create(pool);
+                sessao.conexao.execute = (sql, params) => {
+                    sessao.queries.push(sql);
+                    return pool.execute(sql, params);
+                };
+                return callback(sessao.conexao);
+            };
+            return sessao;
+        };
+
+        const trxDb = new Database({driver: 'mock', dialect: 'mysql'});
+        await trxDb.connect();
+        trxDb.connection.stub(/^SELECT `p`\.`id` FROM/, [{id: 4}]);
+        const trxBuilder = trxDb.builder();
+        const trxSessao = sessaoRegistrada(trxBuilder);
+        await trxBuilder.transaction(async trx => {
+            await trx.clone().returning(['id', 'status']).where('p.cliente_id', 9).update('pedidos p', {'p.status': 'pago'});
+            await trx.newQuery().from('pedidos').where('id', 4).get();
+        });
+        assert(
+            trxSessao.sessoes === 1 && trxSessao.queries.length === trxDb.connection.getQueries().length &&
+            trxSessao.queries.map(sql => sql.split(' ')[0]).join(',') === 'START,SELECT,UPDATE,SELECT,SELECT,COMMIT',
+            'transaction() executa clones e o returning() emulado na conexão da transação'
+        );
+        await trxDb.disconnect();
+
+        // Teste 29: o SELECT com lock vai para a mesma conexão do BEGIN
+        const trxLockDb = new Database({driver: 'mock', dialect: 'postgres'});
+        await trxLockDb.connect();
+        const trxLockBuilder = trxLockDb.builder();
+        const trxLockSessao = sessaoRegistrada(trxLockBuilder);
+        let conexaoDoLock = null;
+        await trxLockBuilder.transaction(async trx => {
+            const reserva = trx.clone().from('estoque').where('id', 7).lockForUpdate();
+            conexaoDoLock = reserva._currentDriver();
+            await reserva.first();
+        });
+        assert(
+            conexaoDoLock === trxLockSessao.conexao && trxLockSessao.queries.length === trxLockDb.connection.getQueries().length &&
+            trxLockSessao.queries[0] === 'BEGIN' && trxLockSessao.queries[1].endsWith('FOR UPDATE') && trxLockSessao.queries[2] === 'COMMIT',
+            'lockForUpdate() em transaction() usa a conexão do BEGIN'
+        );
+
+        // No pool, beginTransaction() sem transaction() não prende a conexão
+        trxLockBuilder.driver.isPool = true;
+        await trxLockBuilder.beginTransaction();
+        try {
+            await trxLockBuilder.from('estoque').where('id', 7).lockForUpdate().first();
+            assert(false, 'lockForUpdate() no pool deveria exigir transaction()');
+        } catch (error) {
+            assert(error.message.includes('dentro de transaction()'), 'lockForUpdate() no pool exige a conexão presa por transaction()');
+        }
+        await trxLockBuilder.rollbackTransaction();
+        await trxLockDb.disconnect();
+
+        // Teste 30: o cache de compilação distingue o tipo dos valores ao reutilizar o builder
+        const reutilizado = Database.compiler('postgres');
+        const dataCorte = new Date('2024-01-01T00:00:00.000Z');
+        const compilarCom = valor => reutilizado.reset().from('eventos').whereIn('em', [valor]).toSQL().bindings[0];
+        assert(
+            compilarCom(dataCorte) instanceof Date && typeof compilarCom(dataCorte.toISOString()) === 'string' &&
+            Number.isNaN(compilarCom(NaN)) && compilarCom(null) === null && compilarCom(Infinity) === Infinity,
+            'cache de compilação não troca Date por string ISO nem NaN/Infinity por null'
+        );
+
+        // Teste 31: stream() do MariaDB respeita batchSize; no PostgreSQL, falha ao fechar o cursor não esconde o erro
+        let lidas = 0;
+        const linhasMariadb = new Readable({
+            objectMode: true,
+            read() {
+                this.push(lidas < 500 ? {id: ++lidas} : null);
+            }
+        });
+        linhasMariadb.close = () => {};
+        const streamMariadb = new MariadbDriver({queryStream: () => linhasMariadb}).stream('SELECT * FROM eventos', [], {batchSize: 100});
+        await streamMariadb.next();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert(lidas >= 100 && lidas < 500, 'stream() do MariaDB busca batchSize linhas à frente do consumidor');
+        await streamMariadb.return();
+
+        const cursorComFalha = {
+            read: async () => { throw new Error('leitura interrompida'); },
+            close: async () => { throw new Error('cursor já fechado'); }
+        };
+        try {
+            await new PostgreSQLDriver({query: () => cursorComFalha}).stream('SELECT * FROM eventos').next();
+            assert(false, 'stream() do PostgreSQL deveria propagar o erro de leitura');
+        } catch (error) {
+            assert(error.message.includes('leitura interrompida'), 'erro ao fechar o cursor não esconde o erro de leitura');
+        }
+
+        // Teste 32: o schema configurado no PostgreSQL vale para leitura, escrita e JOIN
+        const noSchema = () => Database.compiler('postgres', {schema: 'vendas'});
+        const esquemas = [
+            [noSchema().from('pedidos p').join('clientes c', 'c.id = p.cliente_id').join('auditoria.logs l', 'l.pedido_id = p.id').toSQL(),
+                'SELECT * FROM "vendas"."pedidos" AS "p" INNER JOIN "vendas"."clientes" AS "c" ON c.id = p.cliente_id ' +
+                'INNER JOIN "auditoria"."logs" AS "l" ON l.pedido_id = p.id'],
+            [noSchema().compileInsert('pedidos', {total: 10}), 'INSERT INTO "vendas"."pedidos" ("total") VALUES (?) RETURNING *'],
+            [noSchema().where('id', 1).compileUpdate('pedidos', {total: 10}), 'UPDATE "vendas"."pedidos" SET "total" = ? WHERE "id" = ? RETURNING *'],
+            [noSchema().where('id', 1).compileDelete('pedidos'), 'DELETE FROM "vendas"."pedidos" WHERE "id" = ? RETURNING *'],
+            [noSchema().compileUpsert('pedidos', {id: 1, total: 10}, ['id']),
+                'INSERT INTO "vendas"."pedidos" ("id", "total") VALUES (?, ?) ON CONFLICT ("id") DO UPDATE SET "total" = EXCLUDED."total" RETURNING *'],
+            [noSchema().with('recentes', q => q.from('pedidos')).from('recentes').toSQL(),
+                'WITH "recentes" AS (SELECT * FROM "vendas"."pedidos") SELECT * FROM "recentes"']
+        ];
+        assert(
+            esquemas.every(([compilado, esperado]) => compilado.sql === esperado),
+            'schema configurado qualifica FROM, JOIN, INSERT, UPDATE, DELETE e upsert, exceto CTEs e tabelas com schema'
+        );
 
     } catch (error) {
         console.log(`❌ Erro durante teste: ${error.message}`);
@@ -94,7 +840,7 @@ function testeBasico() {
 
 // Executar se for o arquivo principal
 if (import.meta.url === `file://${process.argv[1]}`) {
-    const sucesso = testeBasico();
+    const sucesso = await testeBasico();
     process.exit(sucesso ? 0 : 1);
 }
 
@@ -0,0 +1,334 @@
+// tests/sqlite.test.js
+import Database from '../src/index.js';
+
+// Testes de integração usando SQLite em memória (não requer servidor)
+async function testeSQLite() {
+    console.log('🧪 Executando testes com SQLite...\n');
+
+    let passou = 0;
+    let falhou = 0;
+
+    function assert(condicao, mensagem) {
+        if (condicao) {
+            console.log(`✅ ${mensagem}`);
+            passou++;
+        } else {
+            console.log(`❌ ${mensagem}`);
+            falhou++;
+        }
+    }
+
+    const db = new Database({
+        driver: 'sqlite',
+        database: ':memory:'
+    });
+
+    try {
+        // Teste 1: Conexão
+        await db.connect();
+        assert(await db.isConnected(), 'Conexão SQLite em memória estabelecida');
+
+        await db.query(`CREATE TABLE usuarios (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            nome TEXT NOT NULL,
+            email TEXT UNIQUE,
+            ativo INTEGER DEFAULT 1
+        )`);
+
+        // Teste 2: Metadados
+        assert(await db.tableExists('usuarios'), 'tableExists encontra tabela criada');
+        assert(!(await db.tableExists('inexistente')), 'tableExists retorna false para tabela inexistente');
+        assert(JSON.stringify(await db.listTables()) === '["usuarios"]', 'listTables lista apenas tabelas do usuário');
+
+        const colunas = await db.describeTable('usuarios');
+        assert(colunas.length === 4 && colunas[0].column_name === 'id' && colunas[0].primary_key, 'describeTable retorna colunas');
+
+        // Teste 3: INSERT e SELECT
+        const resultado = await db.insert('usuarios', {nome: 'João', email: 'joao@email.com', ativo: true});
+        assert(resultado.affectedRows === 1 && resultado.insertId === 1, 'INSERT retorna informações da execução');
+
+        await db.insert('usuarios', [
+            {nome: 'Maria', email: 'maria@email.com', ativo: 1},
+            {nome: 'Pedro', email: 'pedro@email.com', ativo: 0}
+        ]);
+
+        const ativos = await db.select(['nome']).from('usuarios').where('ativo', 1).orderBy('nome', 'DESC').get();
+        assert(ativos.map(u => u.nome).join(',') === 'Maria,João', 'SELECT com WHERE e ORDER BY');
+
+        const pagina = await db.from('usuarios').orderBy('id').limit(1, 1).get();
+        assert(pagina.length === 1 && pagina[0].nome === 'Maria', 'LIMIT com OFFSET');
+
+        // Teste 4: UPDATE e DELETE
+        await db.update('usuarios', {ativo: 1}, {nome: 'Pedro'});
+        const pedro = await db.from('usuarios').where('nome', 'Pedro').first();
+        assert(pedro.ativo === 1, 'UPDATE altera registro');
+
+        await db.delete('usuarios', {nome: 'Pedro'});
+        assert((await db.query('SELECT * FROM usuarios')).length === 2, 'DELETE remove registro');
+
+        // Teste 5: Transações
+        try {
+            await db.builder().transaction(async trx => {
+                await trx.insert('usuarios', {nome: 'Temporário'});
+                throw new Error('forçar rollback');
+            });
+        } catch (error) {
+            // esperado
+        }
+        assert((await db.query('SELECT * FROM usuarios')).length === 2, 'Rollback desfaz alterações da transação');
+
+        // Teste 6: Colunas JSON
+        await db.query('CREATE TABLE clientes (id INTEGER PRIMARY KEY, meta TEXT)');
+        await db.insert('clientes', [
+            {id: 1, meta: {address: {city: 'Recife'}, tags: ['vip', 'novo']}},
+            {id: 2, meta: {address: {city: 'Natal'}, tags: ['novo']}}
+        ]);
+
+        const recife = await db.from('clientes').whereJson('meta->address->city', 'Recife').get();
+        assert(recife.length === 1 && recife[0].id === 1, 'whereJson filtra por caminho JSON');
+
+        const vips = await db.select(['id']).selectJson('meta->tags', 'tags')
+            .from('clientes')
+            .whereJsonContains('meta->tags', 'vip')
+            .whereJsonLength('meta->tags', 2)
+            .get();
+        assert(vips.length === 1 && vips[0].tags === '["vip","novo"]', 'selectJson, whereJsonContains e whereJsonLength');
+
+        // Teste 7: Paginação por cursor
+        await db.query('CREATE TABLE posts (id INTEGER PRIMARY KEY, autor TEXT, nota INTEGER)');
+        await db.insert('posts', [
+            {id: 1, autor: 'ana', nota: 5}, {id: 2, autor: 'bia', nota: 3}, {id: 3, autor: 'caio', nota: 5},
+            {id: 4, autor: 'davi', nota: 4}, {id: 5, autor: 'eva', nota: 3}
+        ]);
+
+        // nota DESC com desempate por id ASC: 1, 3, 4, 2, 5
+        const paginaPosts = () => db.from('posts').orderBy('nota', 'DESC').orderBy('id', 'ASC');
+        const p1 = await paginaPosts().cursorPaginate(2);
+        const p2 = await paginaPosts().cursorPaginate(2, p1.nextCursor);
+        const p3 = await paginaPosts().cursorPaginate(2, p2.nextCursor);
+        assert(
+            [p1, p2, p3].map(p => p.data.map(r => r.id).join(',')).join('|') === '1,3|4,2|5' &&
+            p1.prevCursor === null && p3.nextCursor === null,
+            'cursorPaginate avança com ordenação mista'
+        );
+
+        const voltando = await paginaPosts().cursorPaginate(2, p3.prevCursor);
+        assert(voltando.data.map(r => r.id).join(',') === '4,2' && voltando.prevCursor !== null, 'cursorPaginate volta pelo prevCursor');
+
+        // Teste 8: Contagem e paginação com total
+        assert(await db.from('posts').groupBy('nota').count() === 3, 'count() com groupBy conta os grupos');
+        assert(await db.select('nota').distinct().from('posts').count() === 3, 'count() com distinct conta valores distintos');
+
+        const paginado = await db.from('posts').where('nota', 5, '<').orderBy('id').getPaginated(2, 2);
+        assert(
+            paginado.data.map(r => r.id).join(',') === '5' && paginado.total === 3 && paginado.lastPage === 2 &&
+            paginado.from === 3 && paginado.to === 3 && paginado.currentPage === 2 && paginado.perPage === 2,
+            'getPaginated retorna dados e metadados'
+        );
+
+        // Teste 9: Streaming
+        const streamIds = [];
+        for await (const post of db.from('posts').orderBy('id').stream({batchSize: 2})) {
+            streamIds.push(post.id);
+        }
+        assert(streamIds.join(',') === '1,2,3,4,5', 'stream() percorre todas as linhas');
+
+        for await (const post of db.from('posts').stream()) {
+            if (post.id === 2) break;
+        }
+        assert(await db.from('posts').count() === 5, 'Conexão fica livre após interromper o stream');
+
+        // Teste 10: chunkById / eachById
+        await db.query('CREATE TABLE filas (id INTEGER PRIMARY KEY, processado INTEGER DEFAULT 0)');
+        await db.insert('filas', [1, 2, 3, 4, 5].map(id => ({id})));
+
+        // O callback altera o filtro da própria query: com OFFSET linhas seriam puladas
+        const vistos = [];
+        await db.from('filas').where('processado', 0).chunkById(2, async linhas => {
+            vistos.push(...linhas.map(l => l.id));
+            await db.builder().whereIn('id', linhas.map(l => l.id)).update('filas', {processado: 1});
+        });
+        assert(vistos.join(',') === '1,2,3,4,5', 'chunkById não pula linhas alteradas pelo callback');
+
+        const cada = [];
+        await db.from('filas').eachById(linha => {
+            cada.push(linha.id);
+            if (linha.id === 3) return false;
+        }, 2);
+        assert(cada.join(',') === '1,2,3', 'eachById percorre linhas e para ao retornar false');
+
+        // Teste 11: whereColumn e filtros por data
+        await db.query('CREATE TABLE entregas (id INTEGER PRIMARY KEY, criado_em TEXT, entregue_em TEXT)');
+        await db.insert('entregas', [
+            {id: 1, criado_em: '2024-05-01 10:00:00', entregue_em: '2024-05-03 09:30:00'},
+            {id: 2, criado_em: '2024-06-10 08:00:00', entregue_em: '2024-06-09 18:00:00'},
+            {id: 3, criado_em: '2023-05-20 14:00:00', entregue_em: '2023-05-21 11:00:00'}
+        ]);
+
+        const entregas = await db.from('entregas')
+            .whereColumn('entregue_em', '>', 'criado_em')
+            .whereYear('criado_em', 2024)
+            .whereMonth('criado_em', 5)
+            .whereTime('entregue_em', '10:00:00', '<')
+            .get();
+        assert(entregas.length === 1 && entregas[0].id === 1, 'whereColumn e filtros por data no SQLite');
+
+        // Teste 12: CTE recursiva
+        await db.query('CREATE TABLE categorias (id INTEGER PRIMARY KEY, pai_id INTEGER, nome TEXT)');
+        await db.insert('categorias', [
+            {id: 1, pai_id: null, nome: 'Raiz'}, {id: 2, pai_id: 1, nome: 'Livros'},
+            {id: 3, pai_id: 2, nome: 'Ficção'}, {id: 4, pai_id: null, nome: 'Outra'}
+        ]);
+
+        const subarvore = await db.builder()
+            .withRecursive('arvore',
+                q => q.select(['id', 'nome', '0 AS nivel']).from('categorias').where('id', 1),
+                q => q.select(['c.id', 'c.nome', 'a.nivel + 1']).from('categorias c').join('arvore a', 'c.pai_id = a.id'))
+            .from('arvore')
+            .orderBy('nivel')
+            .get();
+        assert(subarvore.map(c => `${c.nome}:${c.nivel}`).join(',') === 'Raiz:0,Livros:1,Ficção:2', 'withRecursive percorre a árvore');
+
+        await db.builder()
+            .with('folhas', q => q.select(['id']).from('categorias').where('id', 3))
+            .whereRaw('id IN (SELECT id FROM folhas)')
+            .delete('categorias');
+        assert(await db.from('categorias').count() === 3, 'CTE antes de DELETE');
+
+        // Teste 13: INTERSECT/EXCEPT com ordenação e limite externos
+        const notasAltas = q => q.select(['autor']).from('posts').where('nota', 4, '>=');
+        const semNotaCinco = await db.builder()
+            .select(['autor']).from('posts')
+            .except(q => q.select(['autor']).from('posts').where('nota', 5))
+            .outerOrderBy('autor', 'DESC')
+            .outerLimit(2)
+            .get();
+        assert(semNotaCinco.map(p => p.autor).join(',') === 'eva,davi', 'except com outerOrderBy/outerLimit');
+
+        const combinados = db.builder().select(['autor']).from('posts').where('nota', 3).union(notasAltas).outerOrderBy('autor');
+        assert(await combinados.clone().count() === 5, 'count sobre o resultado combinado');
+        const segundaPagina = await combinados.getPaginated(2, 2);
+        assert(segundaPagina.data.map(p => p.autor).join(',') === 'caio,davi', 'getPaginated pagina o resultado combinado');
+
+        const emComum = await db.builder().select(['autor']).from('posts').intersect(notasAltas).outerOrderBy('autor').get();
+        assert(emComum.map(p => p.autor).join(',') === 'ana,caio,davi', 'intersect no SQLite');
+
+        // Teste 14: UPDATE com JOIN (UPDATE ... FROM)
+        await db.query('CREATE TABLE autores (nome TEXT PRIMARY KEY, destaque INTEGER)');
+        await db.insert('autores', [{nome: 'ana', destaque: 1}, {nome: 'bia', destaque: 0}, {nome: 'caio', destaque: 1}]);
+        await db.builder()
+            .join('autores a', 'a.nome = p.autor')
+            .where('a.destaque', 1)
+            .update('posts p', {'p.nota': 10});
+        const notasDez = await db.from('posts').where('nota', 10).orderBy('id').get();
+        assert(notasDez.map(p => p.autor).join(',') === 'ana,caio', 'UPDATE ... FROM no SQLite');
+
+        // Teste 15: insertBatch em lotes
+        await db.query('CREATE TABLE leituras (sensor INTEGER, valor REAL)');
+        const leituras = Array.from({length: 25}, (_, i) => ({sensor: i % 3, valor: i / 2}));
+        const inseridas = await db.builder().insertBatch('leituras', leituras, {batchSize: 10, transaction: true});
+        assert(inseridas.affectedRows === 25 && await db.from('leituras').count() === 25, 'insertBatch em lotes com transação');
+
+        await db.query('CREATE TABLE sensores (id INTEGER PRIMARY KEY, nome TEXT NOT NULL)');
+        try {
+            // O segundo lote viola o NOT NULL: o primeiro precisa ser desfeito
+            await db.builder().insertBatch('sensores', [{id: 1, nome: 'a'}, {id: 2, nome: 'b'}, {id: 3, nome: null}],
+                {batchSize: 2, transaction: true});
+            assert(false, 'Deveria falhar no segundo lote');
+        } catch (error) {
+            assert(await db.from('sensores').count() === 0, 'Falha num lote desfaz os lotes anteriores');
+        }
+
+        // Teste 16: Upsert em lote
+        await db.query('CREATE TABLE saldos (conta TEXT PRIMARY KEY, valor INTEGER, origem TEXT)');
+        await db.insert('saldos', [{conta: 'a', valor: 10, origem: 'carga'}, {conta: 'b', valor: 20, origem: 'carga'}]);
+        await db.builder().insertOrUpdate('saldos', [
+            {conta: 'a', valor: 5, origem: 'sync'}, {conta: 'b', valor: 1, origem: 'sync'}, {conta: 'c', valor: 7, origem: 'sync'}
+        ], ['conta'], {update: {valor: 'saldos.valor + excluded.valor'}, batchSize: 2, transaction: true});
+        const saldos = await db.from('saldos').orderBy('conta').get();
+        assert(
+            saldos.map(s => `${s.conta}:${s.valor}:${s.origem}`).join(',') === 'a:15:carga,b:21:carga,c:7:sync',
+            'insertOrUpdate em lote com mapa de expressões'
+        );
+
+        // Teste 17: returning()
+        const {rows: [criado]} = await db.builder().returning(['conta', 'valor']).insert('saldos', {conta: 'd', valor: 3, origem: 'api'});
+        const {rows: alterados} = await db.builder().returning(['conta']).where('valor', 10, '>').update('saldos', {origem: 'ajuste'});
+        const {rows: removidos} = await db.builder().returning(['conta', 'origem']).where('conta', 'c').delete('saldos');
+        assert(
+            criado.conta === 'd' && criado.valor === 3 &&
+            alterados.map(s => s.conta).sort().join(',') === 'a,b' &&
+            removidos.length === 1 && removidos[0].origem === 'sync',
+            'RETURNING nativo no SQLite em INSERT, UPDATE e DELETE'
+        );
+
+        // Teste 18: INSERT ... SELECT
+        await db.query('CREATE TABLE posts_arquivo (id INTEGER PRIMARY KEY, autor TEXT, nota INTEGER)');
+        await db.insert('posts_arquivo', {id: 1, autor: 'ana', nota: 0});
+        await db.builder().insertUsing('posts_arquivo', ['id', 'autor', 'nota'],
+            q => q.select(['id', 'autor', 'nota']).from('posts').where('nota', 10), {conflictColumns: ['id']});
+        const arquivados = await db.from('posts_arquivo').orderBy('id').get();
+        assert(arquivados.map(p => `${p.id}:${p.nota}`).join(',') === '1:10,3:10', 'insertUsing copia linhas e resolve conflitos');
+
+        // Teste 19: Resultado normalizado de escrita
+        const novo = await db.insert('posts_arquivo', {id: 9, autor: 'bia', nota: 1});
+        const incrementado = await db.builder().where('id', 9).increment('posts_arquivo', 'nota', 2);
+        const apagados = await db.builder().where('nota', 10).delete('posts_arquivo');
+        assert(
+            novo.affectedRows === 1 && novo.insertId === 9 && Array.isArray(novo.rows) && novo.changedRows === 1 &&
+            incrementado.affectedRows === 1 && incrementado.insertId === null &&
+            apagados.affectedRows === 2 && apagados.changedRows === 2 && apagados.rows.length === 0,
+            'insert, increment e delete devolvem { affectedRows, insertId, rows, changedRows }'
+        );
+
+        // Teste 20: Expressões raw em insert e update
+        await db.query('CREATE TABLE acessos (id INTEGER PRIMARY KEY, codigo TEXT, visitas INTEGER, visto_em TEXT)');
+        await db.insert('acessos', {codigo: db.raw('upper(?)', ['abc']), visitas: 1, visto_em: db.raw("datetime('now')")});
+        await db.builder().where('codigo', 'ABC').update('acessos', {visitas: db.raw('visitas + ?', [4])});
+        const acesso = await db.from('acessos').where(db.raw('length(visto_em) = ?', [19])).first();
+        assert(acesso.codigo === 'ABC' && acesso.visitas === 5, 'raw() com bindings em insert, update e where');
+
+        // Teste 21: Parâmetros nomeados
+        const nomeados = await db.query(
+            "SELECT count(*) AS total FROM acessos WHERE codigo = :codigo AND visitas >= :minimo AND codigo <> ':codigo' AND :minimo > 0",
+            {codigo: 'ABC', minimo: 5}
+        );
+        assert(nomeados[0].total === 1, 'query() com :nome repetido e dentro de string');
+
+        // Teste 22: Mapeamento de erros
+        try {
+            await db.insert('usuarios', {nome: 'Outro João', email: 'joao@email.com'});
+            assert(false, 'Deveria falhar com chave única');
+        } catch (error) {
+            assert(error.message.startsWith('Violação de chave única'), 'Erro de UNIQUE é mapeado');
+        }
+
+        try {
+            await db.query('SELECT * FROM inexistente');
+            assert(false, 'Deveria falhar com tabela inexistente');
+        } catch (error) {
+            assert(error.message.startsWith('Tabela não encontrada'), 'Erro de tabela inexistente é mapeado');
+        }
+
+    } catch (error) {
+        console.log(`❌ Erro durante teste: ${error.message}`);
+        falhou++;
+    } finally {
+        await db.disconnect();
+    }
+
+    console.log(`\n📊 Resultados dos testes:`);
+    console.log(`   ✅ Passaram: ${passou}`);
+    console.log(`   ❌ Falharam: ${falhou}`);
+    console.log(`   📈 Taxa de sucesso: ${((passou / (passou + falhou)) * 100).toFixed(1)}%`);
+
+    return falhou === 0;
+}
+
+// Executar se for o arquivo principal
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const sucesso = await testeSQLite();
+    process.exit(sucesso ? 0 : 1);
+}
+
+export default testeSQLite;